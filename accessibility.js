@@ -0,0 +1,203 @@
+// Animation Cards – Keyboard control and accessibility
+// Every instance can be driven from the keyboard once its container has focus (it is made
+// focusable; clicking the canvas focuses it):
+//
+//     → / PageDown / Space : next keyframe         ← / PageUp : previous keyframe
+//     Home / End           : first / last keyframe 1 … 9, 0  : jump to keyframe 1 … 9, 10
+//     ↑ / ↓                : on a stacked-group keyframe, move the group focus
+//     Enter                : send the focused group to the wheel
+//     Escape               : clear the group focus
+//     Backspace            : on a nested-data wheel, back up one level (drill.js)
+//
+// Keyframe changes, drill steps and the focused group are announced through a polite ARIA live region.
+//
+// Reduced motion: with ac.motion.reduce 'system' (the default) the `prefers-reduced-motion`
+// media query decides; 'always' / 'never' override it. Reduced transitions follow
+// ac.motion.style, one of REDUCED_MOTION_STYLES. Only what plays on screen is affected:
+// exports (export.js) always render the full transitions.
+
+const REDUCED_MOTION_MS = 250; // longest transition in "shorten" mode
+
+// name -> (tr) => the settings of transition tr that actually play
+const REDUCED_MOTION_STYLES = {
+    // the old picture fades out, the camera cuts, the new one fades in; nothing travels
+    crossfade: (tr) => ({
+        ...tr,
+        mode: 'tween',
+        crossfade: true, // see transitionFrame
+        duration: Math.min(tr.duration, 600),
+        easing: 'linear'
+    }),
+    // same choreography, played quickly and without extra turns or staggering
+    shorten: (tr) => ({
+        ...tr,
+        mode: 'tween',
+        duration: Math.min(tr.duration, REDUCED_MOTION_MS),
+        moveStagger: 0,
+        cameraSpin: 0,
+        cardSpin: 0
+    })
+};
+
+function reducedMotionActive(ac) {
+    const { reduce } = ac.motion;
+    if (reduce === 'always') return true;
+    if (reduce === 'never') return false;
+    return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Transition settings tr as they play on this instance's screen
+function motionTransition(ac, tr) {
+    if (!reducedMotionActive(ac)) return tr;
+    return (REDUCED_MOTION_STYLES[ac.motion.style] || REDUCED_MOTION_STYLES.crossfade)(tr);
+}
+
+// The group shown lifted: the one under the pointer, else the keyboard focus
+function highlightedGroup(ac) {
+    return ac.hoveredGroup ?? ac.focusedGroup;
+}
+
+// -----------------------------------------------------------------------------
+// Announcements
+// -----------------------------------------------------------------------------
+
+function announce(ac, text) {
+    if (!ac.liveRegion) return;
+    // clear first so repeating the same text is announced again
+    ac.liveRegion.textContent = '';
+    setTimeout(() => { if (ac.liveRegion) ac.liveRegion.textContent = text; }, 50);
+}
+
+function describeKeyframe(ac, index) {
+    const kf = ac.keyframes[index];
+    const layout = getLayout(kf.layout);
+    return `Keyframe ${index + 1} of ${ac.keyframes.length}: ${layout ? layout.label : kf.layout}`;
+}
+
+function groupName(ac, g) {
+    const names = ac.keyframes[ac.currentKF].groupSpec?.names;
+    return (names && names[g]) || `Group ${g + 1}`;
+}
+
+// Group indices present on the current keyframe, in order, with their card counts
+function groupsOnKeyframe(ac) {
+    const counts = new Map();
+    layoutCards(ac, ac.keyframes[ac.currentKF]).forEach(c => counts.set(c.groupIndex, (counts.get(c.groupIndex) || 0) + 1));
+    return [...counts.keys()].sort((a, b) => a - b).map(g => ({ groupIndex: g, count: counts.get(g) }));
+}
+
+// -----------------------------------------------------------------------------
+// Keyboard
+// -----------------------------------------------------------------------------
+
+// Move the keyboard focus `delta` groups along (wrapping); starts at the first / last group
+function focusGroup(ac, delta) {
+    const groups = groupsOnKeyframe(ac);
+    if (!groups.length) return;
+    const at = groups.findIndex(gr => gr.groupIndex === ac.focusedGroup);
+    const next = at < 0 ? (delta > 0 ? 0 : groups.length - 1) : (at + delta + groups.length) % groups.length;
+    const { groupIndex, count } = groups[next];
+    ac.focusedGroup = groupIndex;
+    ac.emit('groupfocus', { groupIndex });
+    announce(ac, `${groupName(ac, groupIndex)}, ${count} card${count === 1 ? '' : 's'}, ${next + 1} of ${groups.length}. Enter sends it to the wheel.`);
+}
+
+function clearGroupFocus(ac) {
+    if (ac.focusedGroup === null) return;
+    ac.focusedGroup = null;
+    ac.emit('groupfocus', { groupIndex: null });
+}
+
+// Handle one keydown on the container; true when the key was used
+function handleKey(ac, e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    const last = ac.keyframes.length - 1;
+    const groupStage = !ac.animating && onGroupKeyframe(ac);
+
+    if (/^[0-9]$/.test(e.key)) {
+        const index = e.key === '0' ? 9 : +e.key - 1;
+        if (index > last) return false;
+        ac.goTo(index);
+        return true;
+    }
+    switch (e.key) {
+    case 'ArrowRight': case 'PageDown': case ' ':
+        ac.next();
+        return true;
+    case 'ArrowLeft': case 'PageUp':
+        ac.prev();
+        return true;
+    case 'Home':
+        ac.goTo(0);
+        return true;
+    case 'End':
+        ac.goTo(last);
+        return true;
+    case 'ArrowDown': case 'ArrowUp':
+        if (!groupStage) return false;
+        focusGroup(ac, e.key === 'ArrowDown' ? 1 : -1);
+        return true;
+    case 'Enter':
+        if (!groupStage || ac.focusedGroup === null) return false;
+        ac.selectGroup(ac.focusedGroup);
+        return true;
+    case 'Escape':
+        if (ac.focusedGroup === null) return false;
+        clearGroupFocus(ac);
+        return true;
+    case 'Backspace':
+        return drillUp(ac);
+    }
+    return false;
+}
+
+// Make ac's container focusable, add the live region and key handling. Returns a cleanup function.
+function setupAccessibility(ac) {
+    const el = ac.container;
+    const added = [];
+    const setAttr = (name, value) => {
+        if (el.hasAttribute(name)) return; // the page's own markup wins
+        el.setAttribute(name, value);
+        added.push(name);
+    };
+    setAttr('tabindex', '0');
+    setAttr('role', 'application');
+    setAttr('aria-roledescription', 'animation');
+    setAttr('aria-label', 'Animation cards. Arrow keys or number keys change keyframe; on a group keyframe up and down choose a group, Enter opens it.');
+
+    const region = ac.liveRegion = document.createElement('div');
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('role', 'status');
+    // visually hidden, but read out
+    Object.assign(region.style, {
+        position: 'absolute', width: '1px', height: '1px', margin: '-1px', padding: '0',
+        overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap', border: '0'
+    });
+    el.appendChild(region);
+
+    const onKey = (e) => {
+        if (e.target !== el && e.target !== ac.p5?.canvas) return; // keys typed into embedded widgets
+        if (handleKey(ac, e)) e.preventDefault();
+    };
+    el.addEventListener('keydown', onKey);
+
+    const onStart = () => clearGroupFocus(ac);
+    // a drill step stays on its keyframe: onDrill has said where it went
+    const onEnd = ({ from, to }) => { if (from !== to) announce(ac, describeKeyframe(ac, to)); };
+    const onSelect = ({ groupIndex, to }) => {
+        if (to !== null) announce(ac, `${groupName(ac, groupIndex)} selected`);
+    };
+    const onDrill = ({ up }) => {
+        const level = drillLevel(ac, ac.keyframes[ac.targetKF]);
+        if (level) announce(ac, `${up ? 'Back up to' : 'Opened'} ${level.trail.join(', ')}`);
+    };
+    ac.on('transitionstart', onStart).on('transitionend', onEnd).on('groupselect', onSelect).on('drill', onDrill);
+
+    return () => {
+        el.removeEventListener('keydown', onKey);
+        ac.off('transitionstart', onStart).off('transitionend', onEnd).off('groupselect', onSelect).off('drill', onDrill);
+        added.forEach(name => el.removeAttribute(name));
+        region.remove();
+        ac.liveRegion = null;
+    };
+}
@@ -0,0 +1,235 @@
+// Animation Cards – Embeddable component
+// One animation in one container element. Each instance runs its own p5 sketch in instance
+// mode and keeps its own scene and playback state, so a page can hold several and drive them
+// from its own code:
+//
+//     const cards = new AnimationCards(document.getElementById('stage'), sceneDocument);
+//     cards.on('transitionend', ({ to }) => console.log('now on keyframe', to));
+//     cards.next();
+//
+// `scene` is a scene document as written by serializeScene() (scene.js); without one the
+// demo scene of defaultScene() is shown. The side panel is optional: attachEditor() in
+// editor.js binds it to an instance.
+//
+// Options (third argument):
+//     keyboard           : true    keyboard control and live announcements (accessibility.js)
+//     reducedMotion      : 'system' | 'always' | 'never'   when to play reduced transitions
+//     reducedMotionStyle : 'crossfade' | 'shorten'         how (REDUCED_MOTION_STYLES)
+//     interrupt          : 'retarget' | 'queue'  what a new target does while a transition plays:
+//                          turn towards it from the live poses, or play it afterwards
+//     breadcrumbs        : true    path bar over the canvas on nested-data wheels (drill.js)
+//
+// Events (on / off; each listener gets one detail argument):
+//     transitionstart : { from, to, interrupted }   interrupted: it took over from a running one
+//     transitionend   : { from, to }          the target keyframe was reached
+//     keyframe        : { index }             the keyframe shown changed (after a transition or a jump)
+//     hover           : pick or null          card under the pointer changed (see picking.js)
+//     click           : pick or null          click on the canvas
+//     groupselect     : { groupIndex, to }    group chosen for the wheel; to = wheel keyframe or null
+//     groupfocus      : { groupIndex }        keyboard focus moved to a group (null = cleared)
+//     wheelsnap       : { index, wheelIndex } a clicked wheel card turns to the front (wheel.js)
+//     drill           : { path, up }          a nested-data wheel drilled down or backed up (drill.js)
+//     change          : { label? } or —       the scene was edited; label names explicit operations
+//     scene           : —                     keyframes were loaded or replaced (editors rebuild)
+//     frame           : —                     after every drawn frame
+//     destroy         : —                     destroy() was called
+
+class AnimationCards {
+    constructor(container, scene = defaultScene(), {
+        keyboard = true, reducedMotion = 'system', reducedMotionStyle = 'crossfade', interrupt = 'retarget',
+        breadcrumbs = true
+    } = {}) {
+        this.container = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!this.container) throw new Error('AnimationCards needs a container element');
+        this.listeners = {};
+        this.destroyed = false;
+
+        // playback
+        this.currentKF = 0;       // index of the currently displayed keyframe
+        this.targetKF = 0;        // index we are animating to
+        this.animating = false;
+        this.animTransition = TRANSITION_DEFAULTS; // settings of the transition currently playing
+        this.animDuration = TRANSITION_DEFAULTS.duration; // ms
+        this.clock = createClock();
+        this.interrupt = interrupt; // see startAnimationTo
+        this.queue = [];            // [{ index, group, drill }] transitions waiting in 'queue' mode
+        this.animFrom = null;       // live pose { cards, camera } an interrupted transition restarted from
+        this.motion = { reduce: reducedMotion, style: reducedMotionStyle }; // see accessibility.js
+
+        // what is drawn: cards of the current keyframe and the interpolated renderState
+        this.cards = [];
+        this.renderState = [];
+        this.cameraState = { ...CAMERA_DEFAULTS };
+        this.renderCamera = { ...CAMERA_DEFAULTS };
+        this.renderStats = { drawn: 0 };
+
+        // interaction (picking.js / camera.js)
+        this.hoveredGroup = null;
+        this.hoveredCard = null;
+        this.focusedGroup = null; // keyboard counterpart of hoveredGroup
+        this.clickedCard = null;
+        this.clickedGroup = null;
+        this.standbyYOffset = 0;  // lift of the hovered group on a stacked-group keyframe
+        this.cameraDrag = null;
+        this.wheel = createWheelState(); // turn of an idle wheel keyframe
+
+        this.exportJob = null;    // { cancelled } while export.js renders frames
+        this.faceTextures = new Map();
+        this.faceImages = new Map();
+        this.liveRegion = null;
+
+        this.load(scene);
+        this.p5 = new p5(cardsSketch(this), this.container);
+        this.teardownKeyboard = keyboard ? setupAccessibility(this) : null;
+        this.teardownBreadcrumbs = breadcrumbs ? setupBreadcrumbs(this) : null;
+    }
+
+    // -------------------------------------------------------------------------
+    // Events
+    // -------------------------------------------------------------------------
+
+    on(type, fn) {
+        (this.listeners[type] = this.listeners[type] || []).push(fn);
+        return this;
+    }
+
+    off(type, fn) {
+        if (this.listeners[type]) this.listeners[type] = this.listeners[type].filter(f => f !== fn);
+        return this;
+    }
+
+    emit(type, detail) {
+        (this.listeners[type] || []).slice().forEach(fn => fn(detail));
+    }
+
+    // -------------------------------------------------------------------------
+    // Scene
+    // -------------------------------------------------------------------------
+
+    // Replace the whole scene with a scene document; throws an Error listing its problems
+    load(scene) {
+        loadScene(this, checkScene(scene));
+        this.queue = [];
+        resetWheel(this);
+        applyKeyframe(this, this.keyframes[this.currentKF], true);
+        viewKeyframeCamera(this, this.keyframes[this.currentKF]);
+        this.emit('scene');
+        this.emit('change', { label: 'Load scene' });
+        return this;
+    }
+
+    // The scene as a document for load() / the scene file
+    getScene() {
+        return serializeScene(this);
+    }
+
+    // The frame on screen as SVG / PDF text (options: see vector-export.js)
+    toSVG(options) {
+        return vectorExport(this, 'svg', options);
+    }
+
+    toPDF(options) {
+        return vectorExport(this, 'pdf', options);
+    }
+
+    // Replace keyframe `index` with a copy of kf (index === keyframe count appends one)
+    setKeyframe(index, kf) {
+        if (!Number.isInteger(index) || index < 0 || index > this.keyframes.length) {
+            throw new RangeError(`keyframe index ${index} is out of range`);
+        }
+        const errors = [];
+        validateKeyframe(kf, 'keyframe', errors, this.datasets);
+        if (errors.length) throw new Error(errors.join('\n'));
+        this.keyframes[index] = JSON.parse(JSON.stringify(kf));
+        this.refreshKeyframe(index);
+        // fewer groups before the wheel: keep the wheel on the last one, as the group editor does
+        const groups = wheelGroupCount(this);
+        if (groups !== null && this.selectedGroup >= groups) {
+            this.selectedGroup = groups - 1;
+            this.drillPath = [];
+            this.refreshKeyframe(this.currentKF);
+        }
+        this.emit('scene');
+        this.emit('change', { label: `Set KF${index + 1}` });
+        return this;
+    }
+
+    // Lay keyframe `index` out again after its settings were edited in place
+    refreshKeyframe(index) {
+        if (index === this.currentKF) applyKeyframe(this, this.keyframes[index], true);
+    }
+
+    // -------------------------------------------------------------------------
+    // Navigation
+    // -------------------------------------------------------------------------
+
+    // Play the transition to keyframe `index`, or show it straight away with { immediate: true }
+    goTo(index, { immediate = false } = {}) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.keyframes.length) {
+            throw new RangeError(`keyframe index ${index} is out of range`);
+        }
+        if (immediate) {
+            this.animating = false;
+            this.queue = [];
+            resetWheel(this);
+            this.currentKF = this.targetKF = index;
+            applyKeyframe(this, this.keyframes[index], true);
+            viewKeyframeCamera(this, this.keyframes[index]);
+            this.focusedGroup = null;
+            announce(this, describeKeyframe(this, index));
+            this.emit('keyframe', { index });
+        } else {
+            startAnimationTo(this, index);
+        }
+        return this;
+    }
+
+    // Step from the keyframe being played to (or the last queued one), so rapid presses add up
+    next() {
+        return this.goTo((plannedKeyframe(this) + 1) % this.keyframes.length);
+    }
+
+    prev() {
+        return this.goTo((plannedKeyframe(this) - 1 + this.keyframes.length) % this.keyframes.length);
+    }
+
+    // Choose the group that goes to the wheel. On (or on the way to) a stacked-group keyframe this
+    // plays the transition to the next wheel keyframe, like clicking the group does; a queued
+    // transition only changes the group when it starts.
+    selectGroup(groupIndex) {
+        const at = plannedKeyframe(this);
+        const wheelKF = this.keyframes[at].layout === 'stacked-group' ? findNextKeyframeWithLayout(this, at, 'wheel') : -1;
+        this.emit('groupselect', { groupIndex, to: wheelKF < 0 ? null : wheelKF });
+        if (wheelKF >= 0) {
+            startAnimationTo(this, wheelKF, { group: groupIndex });
+        } else {
+            this.selectedGroup = groupIndex;
+            this.drillPath = [];
+            this.emit('change');
+        }
+        return this;
+    }
+
+    // On (or on the way to) a wheel keyframe showing nested data, drill into sub-group `name` of
+    // the level shown, like clicking one of its cards does; false when there is no such level
+    drillInto(name) {
+        return drillInto(this, String(name));
+    }
+
+    // Back up `levels` levels towards the selected group, reversing the way down
+    drillUp(levels = 1) {
+        return drillUp(this, levels);
+    }
+
+    // Stop drawing and remove the canvas and its listeners
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        if (this.exportJob) this.exportJob.cancelled = true;
+        this.emit('destroy');
+        if (this.teardownKeyboard) this.teardownKeyboard();
+        if (this.teardownBreadcrumbs) this.teardownBreadcrumbs();
+        this.listeners = {};
+        this.p5.remove();
+    }
+}
@@ -0,0 +1,12 @@
+// Animation Cards – Editor page
+// index.html is one AnimationCards instance with the editor panel attached. A scene link in the
+// URL (permalink.js) is opened first, else the last edited scene comes back from the autosave.
+// The canvas takes the keyboard focus straight away.
+
+readLocationLink().then((link) => {
+    const app = new AnimationCards('#canvas-container', link ? link.doc : loadAutosave() || defaultScene());
+    if (link) app.goTo(link.keyframe, { immediate: true });
+    attachEditor(app, { autosave: true });
+    setupPermalink(app);
+    app.container.focus();
+});
@@ -0,0 +1,81 @@
+// Animation Cards – Orbit camera
+// Mouse-drag orbit, wheel zoom and pan on an instance's canvas, working on its renderCamera directly.
+// "Capture" writes the current view back into a keyframe's camera.
+//
+//     left drag            : orbit (rotY / rotX)
+//     right / shift + drag : pan the orbit target in the view plane
+//     wheel                : zoom
+//
+// A press that doesn't move further than DRAG_THRESHOLD px stays a click, so picking and the
+// stacked-group → wheel selection keep working.
+
+const CAMERA_FIELDS = ['zoom', 'rotX', 'rotY', 'rotZ', 'targetX', 'targetY', 'targetZ'];
+const CAMERA_DEFAULTS = { zoom: 1, rotX: 0, rotY: 0, rotZ: 0, targetX: 0, targetY: 0, targetZ: 0 };
+
+const DRAG_THRESHOLD = 4;     // px
+const ORBIT_SPEED = 0.4;      // degrees per px
+const ZOOM_SPEED = 0.0015;    // per wheel delta unit (exponential)
+const ZOOM_RANGE = [0.05, 200];
+
+// kf.camera with every field present (target fields were added later and are optional)
+function cameraOf(kf) {
+    const cam = {};
+    CAMERA_FIELDS.forEach(f => { cam[f] = kf.camera[f] ?? CAMERA_DEFAULTS[f]; });
+    return cam;
+}
+
+// Show a keyframe's stored camera
+function viewKeyframeCamera(ac, kf) {
+    Object.assign(ac.renderCamera, cameraOf(kf));
+}
+
+// Store the current view in the keyframe
+function captureView(ac, kf) {
+    const round = (v) => Math.round(v * 100) / 100;
+    CAMERA_FIELDS.forEach(f => { kf.camera[f] = round(ac.renderCamera[f]); });
+}
+
+// Press on this instance's canvas itself (p5 reports presses anywhere on the page)
+function isCanvasEvent(ac, event) {
+    return !!event && event.target === ac.p5.canvas;
+}
+
+// ac.cameraDrag is the current press on the canvas: { x, y, mode: 'orbit' | 'pan', dragging }
+function cameraPress(ac, event) {
+    if (!isCanvasEvent(ac, event)) { ac.cameraDrag = null; return; }
+    const pan = event.button === 2 || event.shiftKey;
+    ac.cameraDrag = { x: ac.p5.mouseX, y: ac.p5.mouseY, mode: pan ? 'pan' : 'orbit', dragging: false };
+}
+
+function cameraDragMove(ac) {
+    const drag = ac.cameraDrag, cam = ac.renderCamera, p = ac.p5;
+    if (!drag) return;
+    if (!drag.dragging && Math.hypot(p.mouseX - drag.x, p.mouseY - drag.y) < DRAG_THRESHOLD) return;
+    drag.dragging = true;
+    const dx = p.mouseX - p.pmouseX, dy = p.mouseY - p.pmouseY;
+    if (drag.mode === 'orbit') {
+        cam.rotY += dx * ORBIT_SPEED;
+        cam.rotX = clamp(cam.rotX - dy * ORBIT_SPEED, -180, 180);
+    } else {
+        // move the target against the drag, in the view plane
+        const d = unrotateXYZ({ x: -dx / cam.zoom, y: -dy / cam.zoom, z: 0 },
+            toRadians(cam.rotX), toRadians(cam.rotY), toRadians(cam.rotZ));
+        cam.targetX += d.x;
+        cam.targetY += d.y;
+        cam.targetZ += d.z;
+    }
+}
+
+// Ends the press; true when it was a click rather than a drag
+function cameraRelease(ac) {
+    const wasClick = !!ac.cameraDrag && !ac.cameraDrag.dragging;
+    ac.cameraDrag = null;
+    return wasClick;
+}
+
+function cameraWheel(ac, event) {
+    if (!isCanvasEvent(ac, event)) return true;
+    const cam = ac.renderCamera;
+    cam.zoom = clamp(cam.zoom * Math.exp(-event.delta * ZOOM_SPEED), ZOOM_RANGE[0], ZOOM_RANGE[1]);
+    return false; // keep the page from scrolling
+}
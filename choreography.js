@@ -0,0 +1,231 @@
+// Animation Cards – Transition choreography
+// How the cards of one keyframe turn into the cards of the next. Every transition picks:
+//
+//     match        : which source card becomes which target card          (CARD_MATCHERS)
+//     spawnOrigin  : where target cards without a source appear from      (SPAWN_ORIGINS)
+//     stagger      : order in which spawning (and staggered moving) cards start (STAGGER_ORDERS)
+//     moveStagger  : fraction of the timeline over which matched cards start one after another
+//     collapse     : how source cards without a target disappear          (COLLAPSE_STYLES)
+//     colorBlendStart / colorBlendEnd : window in which strokes blend to the target colours
+//
+// The result is a fresh renderState: target cards in target order, then the collapsing ones.
+
+// mode -> (cards) => one match key per card (undefined = never matched)
+const CARD_MATCHERS = {
+    index: (cards) => cards.map((_, i) => i),
+    // k-th card of group g pairs with the k-th card of group g
+    group: (cards) => {
+        const seen = {};
+        return cards.map(c => {
+            const g = c.groupIndex ?? 0;
+            seen[g] = (seen[g] || 0) + 1;
+            return `${g}/${seen[g] - 1}`;
+        });
+    },
+    // position on the wheel (stacked-group numbers the selected group's cards in wheel order)
+    wheel: (cards) => cards.map(c => c.wheelIndex),
+    // dataset row key (see data.js); cards of unbound keyframes have none
+    data: (cards) => cards.map(c => c.dataKey)
+};
+
+// name -> ({ fromCards, pairs, t }) => { x, y, z, rotX, rotY, rotZ, stroke? } at eased time t
+const SPAWN_ORIGINS = {
+    // live position of the matched card with the highest target index
+    'last-match': ({ fromCards, pairs, t }) => {
+        const last = pairs.reduce((a, p) => (!a || p.to > a.to ? p : a), null);
+        if (!last) return SPAWN_ORIGINS['last-source']({ fromCards });
+        return { ...lerpCard(last.fc, last.tc, t), stroke: last.fc.stroke };
+    },
+    // where the last source card stood
+    'last-source': ({ fromCards }) => {
+        const c = fromCards[fromCards.length - 1];
+        return c ? { x: c.x, y: c.y, z: c.z, rotX: 0, rotY: 0, rotZ: 0 } : { ...ZERO_POSE };
+    },
+    // centre of the matched source cards (of all source cards when nothing matched)
+    'match-centre': ({ fromCards, pairs }) => {
+        const src = pairs.length ? pairs.map(p => p.fc) : fromCards;
+        if (!src.length) return { ...ZERO_POSE };
+        const avg = (k) => src.reduce((s, c) => s + c[k], 0) / src.length;
+        return { x: avg('x'), y: avg('y'), z: avg('z'), rotX: 0, rotY: 0, rotZ: 0, stroke: pairs.length ? pairs[0].fc.stroke : undefined };
+    },
+    origin: () => ({ ...ZERO_POSE }),
+    // grow where they land
+    'in-place': () => null
+};
+
+// name -> (items) => items reordered; items are { tc, pos } with pos the card's start position
+const STAGGER_ORDERS = {
+    index: (items) => items,
+    reverse: (items) => [...items].reverse(),
+    // shortest trip first (for spawns: nearest the spawn origin)
+    distance: (items) => [...items].sort((a, b) => dist3(a.tc, a.pos) - dist3(b.tc, b.pos)),
+    // shuffled, but the same on every frame
+    random: (items) => {
+        const rand = seededRandom(items.length);
+        return items.map(it => ({ it, k: rand() })).sort((a, b) => a.k - b.k).map(o => o.it);
+    }
+};
+
+// name -> (fc, s, origin) => card state with collapse progress s in [0,1]
+const COLLAPSE_STYLES = {
+    // shrink in place and fade out
+    shrink: (fc, s) => ({
+        ...fc,
+        w: lerpNum(fc.w, 0, s), h: lerpNum(fc.h, 0, s), d: lerpNum(fc.d || 0.5, 0, s),
+        alive: 1 - s
+    }),
+    // shrink down onto the floor, fading faster
+    fold: (fc, s) => ({
+        ...fc,
+        y: fc.y + lerpNum(0, fc.h / 2, s),
+        w: lerpNum(fc.w, 0, s), h: lerpNum(fc.h, 0, s), d: lerpNum(fc.d || 0.5, 0, s),
+        alive: (1 - s) * (1 - s)
+    }),
+    // keep the size, only fade
+    fade: (fc, s) => ({ ...fc, alive: 1 - s }),
+    // fly into the spawn origin while shrinking
+    'to-origin': (fc, s, origin) => ({
+        ...fc,
+        x: lerpNum(fc.x, origin.x, s), y: lerpNum(fc.y, origin.y, s), z: lerpNum(fc.z, origin.z, s),
+        w: lerpNum(fc.w, 0, s), h: lerpNum(fc.h, 0, s), d: lerpNum(fc.d || 0.5, 0, s),
+        alive: 1 - s
+    })
+};
+
+// Default choreography for a pair of layouts, used until a transition sets its own fields.
+// stacked-group -> wheel: the selected group takes its wheel slots, the rest fold away.
+const LAYOUT_PAIR_CHOREOGRAPHY = {
+    'stacked-group>wheel': { match: 'wheel', spawnOrigin: 'last-match', collapse: 'fold' }
+};
+
+function layoutPairChoreography(fromLayout, toLayout) {
+    return LAYOUT_PAIR_CHOREOGRAPHY[`${fromLayout}>${toLayout}`] || {};
+}
+
+const ZERO_POSE = { x: 0, y: 0, z: 0, rotX: 0, rotY: 0, rotZ: 0 };
+
+const dist3 = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// Pose and size of a card moving from fc to tc at t; the orientation takes the shortest arc
+// plus `spin` extra turns (rotation.js)
+function lerpCard(fc, tc, t, spin = 0) {
+    return {
+        x: lerpNum(fc.x, tc.x, t),
+        y: lerpNum(fc.y, tc.y, t),
+        z: lerpNum(fc.z, tc.z, t),
+        ...slerpRotation(fc, tc, t, spin),
+        w: lerpNum(fc.w, tc.w, t),
+        h: lerpNum(fc.h, tc.h, t),
+        d: lerpNum(fc.d || 0.5, tc.d, t)
+    };
+}
+
+// Fields CARD_MATCHERS read, carried into the card states so a transition interrupted half-way
+// (see startAnimationTo) can match its live cards against a new target
+const matchKeys = (c) => ({ groupIndex: c.groupIndex, wheelIndex: c.wheelIndex, dataKey: c.dataKey });
+
+// Last matching per source layout, reused while the same two (cached) layouts are being played
+const lastMatches = new WeakMap(); // fromCards -> { toCards, mode, result }
+
+// Pair source and target cards. Returns { pairs: [{ from, to, fc, tc }], spawned: [to], collapsed: [from] }
+function matchCards(fromCards, toCards, mode) {
+    const last = lastMatches.get(fromCards);
+    if (last && last.toCards === toCards && last.mode === mode) return last.result;
+    const result = computeMatch(fromCards, toCards, mode);
+    lastMatches.set(fromCards, { toCards, mode, result });
+    return result;
+}
+
+function computeMatch(fromCards, toCards, mode) {
+    const keysOf = CARD_MATCHERS[mode] || CARD_MATCHERS.index;
+    const fromKeys = keysOf(fromCards);
+    const toKeys = keysOf(toCards);
+    const sourceByKey = new Map();
+    fromKeys.forEach((k, i) => { if (k !== undefined && k !== null && !sourceByKey.has(k)) sourceByKey.set(k, i); });
+
+    const pairs = [], spawned = [];
+    const used = new Set();
+    toKeys.forEach((k, to) => {
+        const from = sourceByKey.get(k);
+        if (from !== undefined && !used.has(from)) {
+            used.add(from);
+            pairs.push({ from, to, fc: fromCards[from], tc: toCards[to] });
+        } else {
+            spawned.push(to);
+        }
+    });
+    const collapsed = fromCards.map((_, i) => i).filter(i => !used.has(i));
+    return { pairs, spawned, collapsed };
+}
+
+// Card states at eased time t for transition settings tr (see TRANSITION_DEFAULTS)
+function choreograph(fromCards, toCards, t, tr) {
+    const { pairs, spawned, collapsed } = matchCards(fromCards, toCards, tr.match);
+    const colorBlend = clamp((t - tr.colorBlendStart) / Math.max(0.0001, tr.colorBlendEnd - tr.colorBlendStart), 0, 1);
+    const collapseT = clamp(t / Math.max(0.0001, tr.collapseWindow), 0, 1);
+    const origin = (SPAWN_ORIGINS[tr.spawnOrigin] || SPAWN_ORIGINS['last-source'])({ fromCards, pairs, t });
+    const stagger = STAGGER_ORDERS[tr.stagger] || STAGGER_ORDERS.index;
+    const states = new Array(toCards.length);
+
+    // matched cards move, optionally one after another across moveStagger
+    const movers = stagger(pairs.map(p => ({ tc: p.tc, pos: p.fc, p })));
+    const spread = clamp(tr.moveStagger, 0, 1);
+    movers.forEach(({ p }, rank) => {
+        const delay = movers.length > 1 ? spread * rank / (movers.length - 1) : 0;
+        // past the end (back / elastic easings) every card overshoots together, as the camera does
+        const s = t >= 1 || !delay ? t : clamp((t - delay) / Math.max(0.0001, 1 - delay), 0, 1);
+        states[p.to] = {
+            ...lerpCard(p.fc, p.tc, s, tr.cardSpin),
+            stroke: mixColors(p.fc.stroke, p.tc.stroke, colorBlend),
+            ...matchKeys(p.tc),
+            face: s < 0.5 ? p.fc.face : p.tc.face,
+            alive: lerpNum(p.fc.alive ?? 1, p.tc.alive ?? 1, s) // a half-faded card of an interrupted transition fades back in
+        };
+    });
+
+    // new cards appear one after another across the spawn window
+    const spawns = stagger(spawned.map(to => ({ tc: toCards[to], pos: origin || toCards[to], to })));
+    const delayPer = tr.spawnWindow / Math.max(1, spawns.length);
+    spawns.forEach(({ tc, to }, order) => {
+        const delay = tr.spawnStart + order * delayPer;
+        const s = clamp((t - delay) / Math.max(0.0001, 1 - delay), 0, 1);
+        const start = origin || { x: tc.x, y: tc.y, z: tc.z, rotX: tc.rotX, rotY: tc.rotY, rotZ: tc.rotZ };
+        const size = Math.sqrt(s); // grow faster than they travel
+        states[to] = {
+            x: lerpNum(start.x, tc.x, s),
+            y: lerpNum(start.y, tc.y, s),
+            z: lerpNum(start.z, tc.z, s),
+            ...slerpRotation(start, tc, s),
+            w: lerpNum(0, tc.w, size),
+            h: lerpNum(0, tc.h, size),
+            d: lerpNum(0, tc.d, size),
+            stroke: mixColors(start.stroke || tc.stroke, tc.stroke, colorBlend),
+            ...matchKeys(tc),
+            face: tc.face,
+            alive: s
+        };
+    });
+
+    // source cards without a target collapse within the collapse window
+    const collapseStyle = COLLAPSE_STYLES[tr.collapse] || COLLAPSE_STYLES.shrink;
+    const gone = collapsed.map(from => {
+        const fc = fromCards[from];
+        const st = collapseStyle({ ...fc, d: fc.d || 0.5 }, collapseT, origin || fc);
+        return {
+            x: st.x, y: st.y, z: st.z, rotX: st.rotX, rotY: st.rotY, rotZ: st.rotZ,
+            w: st.w, h: st.h, d: st.d,
+            stroke: fc.stroke, ...matchKeys(fc), face: fc.face, alive: st.alive
+        };
+    });
+    return states.concat(gone);
+}
+
+// Reduced-motion alternative to choreograph() (see accessibility.js): the source cards fade
+// out where they stand during the first half, the target cards fade in at their places
+// during the second. Nothing moves or changes size.
+function crossfadeStates(fromCards, toCards, t) {
+    const still = (c, alive) => ({ ...c, d: c.d || 0.5, alive });
+    return t < 0.5
+        ? fromCards.map(c => still(c, 1 - t * 2))
+        : toCards.map(c => still(c, t * 2 - 1));
+}
@@ -0,0 +1,53 @@
+// Animation Cards – Colour helpers
+// Strokes are kept as "#rrggbb" strings everywhere (scene, renderState), and blended without
+// creating p5.Color objects, so large scenes don't churn garbage every frame.
+
+const COLOR_CACHE_LIMIT = 4096;
+const parsedColors = new Map(); // css string -> [r, g, b, a] (0-255)
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// "#rgb", "#rrggbb" or "#rrggbbaa": the colours scenes and datasets may give
+const isColor = (v) => typeof v === 'string' && HEX_COLOR.test(v);
+
+// [r, g, b, a] for "#rgb", "#rrggbb", "#rrggbbaa", a p5.Color or any css colour the browser understands
+function parseColor(c) {
+    if (c && c.levels) return c.levels;
+    let rgba = parsedColors.get(c);
+    if (rgba) return rgba;
+    const m = HEX_COLOR.exec(typeof c === 'string' ? c.trim() : '');
+    if (m) {
+        let hex = m[1];
+        if (hex.length === 3) hex = hex.split('').map(ch => ch + ch).join('');
+        rgba = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        rgba.push(hex.length === 8 ? parseInt(hex.slice(6, 8), 16) : 255);
+    } else {
+        rgba = cssColorLevels(c);
+    }
+    if (parsedColors.size >= COLOR_CACHE_LIMIT) parsedColors.clear();
+    parsedColors.set(c, rgba);
+    return rgba;
+}
+
+// Named / rgb() / hsl() colours, normalised by a 2D context (which reports "#rrggbb" or "rgba(…)")
+let colorProbe = null;
+function cssColorLevels(c) {
+    colorProbe = colorProbe || document.createElement('canvas').getContext('2d');
+    colorProbe.fillStyle = '#000000';
+    colorProbe.fillStyle = String(c);
+    const v = colorProbe.fillStyle;
+    if (v[0] === '#') return [1, 3, 5].map(i => parseInt(v.slice(i, i + 2), 16)).concat(255);
+    const [r, g, b, a = 1] = v.slice(v.indexOf('(') + 1, -1).split(',').map(Number);
+    return [r, g, b, Math.round(a * 255)];
+}
+
+const toHex2 = (v) => Math.round(clamp(v, 0, 255)).toString(16).padStart(2, '0');
+
+// Colour between a and b at t, as "#rrggbb" ("#rrggbbaa" while translucent); a and b themselves
+// are returned untouched
+function mixColors(a, b, t) {
+    if (t <= 0) return a;
+    if (t >= 1) return b;
+    const ca = parseColor(a), cb = parseColor(b);
+    const mix = [0, 1, 2, 3].map(i => ca[i] + (cb[i] - ca[i]) * t);
+    return '#' + mix.slice(0, 3).map(toHex2).join('') + (Math.round(mix[3]) < 255 ? toHex2(mix[3]) : '');
+}
@@ -0,0 +1,379 @@
+// Animation Cards – Dataset binding
+// Load a local CSV / JSON file and map its columns onto card height, width, stroke colour,
+// group and sort order. Datasets live on the scene (ac.datasets: name -> { columns: string[],
+// rows: object[] }); each keyframe keeps its own mapping:
+//
+//     kf.data = { dataset, height?, width?, stroke?, group?, sort?, sortDesc?, key?, drill? }   (column names)
+//
+// A bound keyframe gets one card per row, and stacked-group sizes come from the group column.
+//
+// Nested data: `drill` lists the columns the groups break down into, one per level below the
+// group column (a JSON tree is flattened into such columns on import, see flattenTree). A bound
+// wheel keyframe with a group column and `drill` shows only the rows of the selected group and
+// of the sub-groups on ac.drillPath, coloured by the next level; drill.js drills through them.
+
+const DATA_TARGETS = [
+    { key: 'height', label: 'Height' },
+    { key: 'width', label: 'Width' },
+    { key: 'stroke', label: 'Stroke' },
+    { key: 'group', label: 'Group' },
+    { key: 'sort', label: 'Sort By' },
+    { key: 'key', label: 'Key' }
+];
+
+// -----------------------------------------------------------------------------
+// Parsing
+// -----------------------------------------------------------------------------
+
+// "12" -> 12, everything else stays a string
+function coerceCell(v) {
+    if (typeof v !== 'string') return v;
+    const t = v.trim();
+    return t !== '' && isFinite(t) ? Number(t) : v;
+}
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF. First row holds the column names.
+function parseCSV(text) {
+    const records = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.length > 1 || row[0] !== '') records.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') records.push(row);
+
+    if (records.length === 0) throw new Error('the CSV file is empty');
+    const columns = records[0].map(c => c.trim());
+    const rows = records.slice(1).map(rec => {
+        const obj = {};
+        columns.forEach((c, i) => { obj[c] = coerceCell(rec[i] ?? ''); });
+        return obj;
+    });
+    return { columns, rows };
+}
+
+const TREE_CHILDREN = 'children';
+
+// Rows for the leaves of a tree of { name, children: [...] } nodes: each leaf keeps its own
+// fields and gets level1, level2, … holding the names of the nodes above it
+function flattenTree(nodes, path = [], rows = []) {
+    nodes.forEach(node => {
+        const { [TREE_CHILDREN]: children, ...fields } = node;
+        if (Array.isArray(children) && children.length) {
+            flattenTree(children, [...path, String(node.name ?? node.label ?? '')], rows);
+        } else {
+            const row = {};
+            path.forEach((name, k) => { row[`level${k + 1}`] = name; });
+            rows.push(Object.assign(row, fields));
+        }
+    });
+    return rows;
+}
+
+// An array of objects, or an object holding one; a tree (objects with "children", or one root
+// object holding them) is flattened
+function parseJSONData(text) {
+    let doc = JSON.parse(text);
+    if (!Array.isArray(doc) && doc && typeof doc === 'object') {
+        doc = Array.isArray(doc[TREE_CHILDREN]) ? doc[TREE_CHILDREN] : Object.values(doc).find(Array.isArray);
+    }
+    if (!Array.isArray(doc) || !doc.every(r => r && typeof r === 'object' && !Array.isArray(r))) {
+        throw new Error('expected an array of objects');
+    }
+    if (doc.some(r => Array.isArray(r[TREE_CHILDREN]))) doc = flattenTree(doc);
+    const columns = [];
+    doc.forEach(r => Object.keys(r).forEach(k => { if (!columns.includes(k)) columns.push(k); }));
+    return { columns, rows: doc };
+}
+
+function parseDataset(filename, text) {
+    const data = /\.json$/i.test(filename) ? parseJSONData(text) : parseCSV(text);
+    if (data.rows.length === 0) throw new Error('the file has no rows');
+    return data;
+}
+
+// -----------------------------------------------------------------------------
+// Resolving a bound keyframe
+// -----------------------------------------------------------------------------
+
+const compareCells = (a, b) => (typeof a === 'number' && typeof b === 'number')
+    ? a - b
+    : String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true });
+
+const cellName = (row, col) => String(row[col] ?? '');
+
+// Categories of column `col` over the rows in `order`, in order of first appearance:
+// { names, rowGroup: row index -> category, order: the rows made contiguous per category }
+function categorize(ds, order, col) {
+    const names = [];
+    const rowGroup = new Map();
+    order.forEach(i => {
+        const name = cellName(ds.rows[i], col);
+        let g = names.indexOf(name);
+        if (g < 0) { g = names.length; names.push(name); }
+        rowGroup.set(i, g);
+    });
+    const sorted = order.map((i, pos) => ({ i, pos })).sort((a, b) => rowGroup.get(a.i) - rowGroup.get(b.i) || a.pos - b.pos).map(o => o.i);
+    return { names, rowGroup, order: sorted };
+}
+
+// True when kf is a wheel drilling through nested data (see the top of this file)
+function drillsInto(kf) {
+    return kf.layout === 'wheel' && !!kf.data && !!kf.data.group && Array.isArray(kf.data.drill);
+}
+
+// Rows in card order plus the derived groups, or null when kf has no usable binding.
+// `drill` = { group, path } picks the rows a drilling wheel shows (selected group, drill path).
+function resolveData(kf, datasets, drill = null) {
+    const map = kf.data;
+    const ds = map && datasets[map.dataset];
+    if (!ds) return null;
+
+    let order = ds.rows.map((_, i) => i);
+    if (map.sort) {
+        const dir = map.sortDesc ? -1 : 1;
+        order.sort((a, b) => dir * compareCells(ds.rows[a][map.sort], ds.rows[b][map.sort]) || a - b);
+    }
+
+    let groupCol = map.group, trail = null;
+    if (drill && drillsInto(kf) && order.length) {
+        // the selected group, then one sub-group per level of the path (a stale name ends the path)
+        const top = categorize(ds, order, map.group);
+        const g = Math.min(drill.group, top.names.length - 1);
+        order = top.order.filter(i => top.rowGroup.get(i) === g);
+        trail = [top.names[g]];
+        for (let k = 0; k < Math.min(drill.path.length, map.drill.length); k++) {
+            const rows = order.filter(i => cellName(ds.rows[i], map.drill[k]) === drill.path[k]);
+            if (!rows.length) break;
+            order = rows;
+            trail.push(drill.path[k]);
+        }
+        groupCol = map.drill[trail.length - 1]; // the next level down; none on the last one
+    }
+
+    let groups = null;
+    if (groupCol) {
+        // categories in order of first appearance (after sorting); rows made contiguous per group
+        const cats = categorize(ds, order, groupCol);
+        order = cats.order;
+        const { names, rowGroup } = cats;
+        const sizes = names.map((_, g) => order.filter(i => rowGroup.get(i) === g).length);
+        const palette = (kf.groupSpec && kf.groupSpec.strokeColors.length) ? kf.groupSpec.strokeColors : defaultGroupSpec().strokeColors;
+        groups = {
+            sizes,
+            units: names.map(() => '#'),
+            names,
+            strokeColors: names.map((_, g) => palette[g % palette.length]),
+            rowGroup
+        };
+    }
+    // trail: names of the selected group and the sub-groups drilled into, top first
+    return { dataset: ds, order, groups, trail };
+}
+
+// The keyframe as the layouts should see it: card count and stacked-group sizes from the data
+function resolveKeyframe(kf, res) {
+    if (!res) return kf;
+    const eff = { ...kf, cardCount: res.order.length };
+    if (res.groups) {
+        const { rowGroup, ...spec } = res.groups;
+        eff.groupSpec = spec;
+    }
+    return eff;
+}
+
+// Max |value| of a numeric column, for scaling onto card sizes
+function columnMax(ds, col) {
+    let m = 0;
+    ds.rows.forEach(r => { const v = r[col]; if (typeof v === 'number') m = Math.max(m, Math.abs(v)); });
+    return m || 1;
+}
+
+// Data attributes needed before the layout runs (sizes, group, identity)
+function applyDataBeforeLayout(cards, kf, res) {
+    const map = kf.data;
+    const ds = res.dataset;
+    const hMax = map.height ? columnMax(ds, map.height) : 1;
+    const wMax = map.width ? columnMax(ds, map.width) : 1;
+    cards.forEach((c, n) => {
+        const rowIdx = res.order[n];
+        const row = ds.rows[rowIdx];
+        c.dataIndex = rowIdx;
+        c.dataKey = map.key ? row[map.key] : rowIdx;
+        if (map.height && typeof row[map.height] === 'number') c.h = Math.max(0.1, kf.cardHeight * Math.abs(row[map.height]) / hMax);
+        if (map.width && typeof row[map.width] === 'number') c.w = Math.max(0.1, kf.cardWidth * Math.abs(row[map.width]) / wMax);
+        if (res.groups) c.groupIndex = res.groups.rowGroup.get(rowIdx);
+        // on a drilling wheel: the sub-group a click drills into
+        if (res.trail && res.groups) c.drillName = res.groups.names[c.groupIndex];
+    });
+}
+
+// Stroke mapping wins over the layout's colours: hex values are used as-is, anything else
+// is treated as a category and coloured from the group palette
+function applyDataAfterLayout(cards, kf, res) {
+    const col = kf.data.stroke;
+    if (!col) {
+        // a drilling wheel colours its cards by sub-group
+        if (res.trail && res.groups) cards.forEach(c => { c.stroke = res.groups.strokeColors[res.groups.names.indexOf(c.drillName)]; });
+        return;
+    }
+    const palette = (kf.groupSpec && kf.groupSpec.strokeColors.length) ? kf.groupSpec.strokeColors : defaultGroupSpec().strokeColors;
+    const categories = [];
+    cards.forEach(c => {
+        const v = res.dataset.rows[c.dataIndex][col];
+        if (typeof v === 'string' && isColor(v.trim())) { c.stroke = v.trim(); return; }
+        const key = String(v ?? '');
+        let k = categories.indexOf(key);
+        if (k < 0) { k = categories.length; categories.push(key); }
+        c.stroke = palette[k % palette.length];
+    });
+}
+
+// -----------------------------------------------------------------------------
+// Panel section
+// -----------------------------------------------------------------------------
+
+function bindDataset(ac, kf, name) {
+    if (!name) { delete kf.data; return; }
+    const prev = kf.data || {};
+    const cols = ac.datasets[name].columns;
+    kf.data = { dataset: name };
+    // keep mappings that still exist in the new dataset
+    DATA_TARGETS.forEach(t => { if (prev[t.key] && cols.includes(prev[t.key])) kf.data[t.key] = prev[t.key]; });
+    if (prev.sortDesc) kf.data.sortDesc = true;
+    if (Array.isArray(prev.drill)) kf.data.drill = prev.drill.filter(c => cols.includes(c));
+    // a flattened tree: group by its top level, a wheel drills through the ones below
+    const levels = cols.filter(c => /^level\d+$/.test(c));
+    if (!kf.data.group && levels.length) {
+        kf.data.group = levels[0];
+        if (kf.layout === 'wheel') kf.data.drill = levels.slice(1);
+    }
+    kf.cardCount = ac.datasets[name].rows.length;
+}
+
+function loadDatasetFile(ac, file, onLoaded) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let parsed;
+        try {
+            parsed = parseDataset(file.name, reader.result);
+        } catch (e) {
+            alert(`Could not load "${file.name}":\n\n${e.message}`);
+            return;
+        }
+        ac.datasets[file.name] = parsed;
+        onLoaded(file.name);
+    };
+    reader.readAsText(file);
+}
+
+function createDataSection(ed, kf, idx) {
+    const { ac } = ed;
+    const datasets = ac.datasets;
+    const wrap = document.createElement('div');
+    wrap.className = 'data-section';
+
+    const title = document.createElement('div');
+    title.className = 'group-editor-title';
+    title.textContent = 'Data';
+    wrap.appendChild(title);
+
+    const rebind = () => {
+        ac.refreshKeyframe(idx);
+        rebuildPanel(ed);   // card count, group editor and column selects depend on the binding
+        ac.emit('change');
+    };
+
+    const dsSel = document.createElement('select');
+    [''].concat(Object.keys(datasets)).forEach(name => {
+        const opt = document.createElement('option');
+        opt.value = name; opt.textContent = name || '— none —'; dsSel.appendChild(opt);
+    });
+    dsSel.value = (kf.data && datasets[kf.data.dataset]) ? kf.data.dataset : '';
+    dsSel.addEventListener('change', () => { bindDataset(ac, kf, dsSel.value); rebind(); });
+
+    const fileIn = document.createElement('input');
+    fileIn.type = 'file'; fileIn.accept = '.csv,.json,text/csv,application/json'; fileIn.hidden = true;
+    fileIn.addEventListener('change', () => {
+        if (fileIn.files[0]) loadDatasetFile(ac, fileIn.files[0], (name) => { bindDataset(ac, kf, name); rebind(); });
+        fileIn.value = '';
+    });
+    const loadBtn = document.createElement('button');
+    loadBtn.className = 'seed-btn'; loadBtn.title = 'Load CSV / JSON';
+    loadBtn.innerHTML = '<i class="fas fa-file-import"></i>';
+    loadBtn.addEventListener('click', () => fileIn.click());
+
+    const dsRow = createInputRow('Dataset', dsSel);
+    dsRow.appendChild(loadBtn);
+    dsRow.appendChild(fileIn);
+    wrap.appendChild(dsRow);
+
+    const ds = kf.data && datasets[kf.data.dataset];
+    if (!ds) return wrap;
+
+    DATA_TARGETS.forEach(t => {
+        const sel = document.createElement('select');
+        [''].concat(ds.columns).forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c; opt.textContent = c || '—'; sel.appendChild(opt);
+        });
+        sel.value = kf.data[t.key] || '';
+        sel.addEventListener('change', () => {
+            if (sel.value) kf.data[t.key] = sel.value; else delete kf.data[t.key];
+            if (t.key === 'group') rebind(); // group editor visibility
+            else ac.refreshKeyframe(idx);
+        });
+        const row = createInputRow(t.label, sel);
+        if (t.key === 'sort') {
+            const desc = document.createElement('input');
+            desc.type = 'checkbox'; desc.checked = !!kf.data.sortDesc; desc.title = 'Descending';
+            desc.addEventListener('change', () => {
+                if (desc.checked) kf.data.sortDesc = true; else delete kf.data.sortDesc;
+                ac.refreshKeyframe(idx);
+            });
+            row.appendChild(desc);
+        }
+        wrap.appendChild(row);
+    });
+    if (kf.layout === 'wheel' && kf.data.group) wrap.appendChild(createDrillRow(ac, kf, ds, rebind));
+    return wrap;
+}
+
+// One select per drill level (see drill.js) and an empty one that adds a level
+function createDrillRow(ac, kf, ds, rebind) {
+    const levels = kf.data.drill || [];
+    const selects = document.createElement('span');
+    [...levels, ''].forEach((col, k) => {
+        const sel = document.createElement('select');
+        [''].concat(ds.columns).forEach(c => {
+            const opt = document.createElement('option');
+            opt.value = c; opt.textContent = c || (k < levels.length ? '— remove —' : '+ level'); sel.appendChild(opt);
+        });
+        sel.value = col;
+        sel.addEventListener('change', () => {
+            const next = [...levels];
+            if (sel.value) next[k] = sel.value; else next.splice(k, 1);
+            if (next.length) kf.data.drill = next; else delete kf.data.drill;
+            ac.drillPath = []; // the old path names sub-groups of other columns
+            rebind();
+        });
+        selects.appendChild(sel);
+    });
+    return createInputRow('Drill Levels', selects);
+}
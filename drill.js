@@ -0,0 +1,112 @@
+// Animation Cards – Nested data drill-down
+// A wheel keyframe bound to nested data (data.js: a group column plus `drill` columns, one per
+// level) shows the cards of the selected group, coloured by their sub-group one level down.
+// Clicking a card drills into its sub-group: the wheel then shows that sub-group's cards,
+// coloured by the level below, down to the last level where the cards are plain rows.
+// ac.drillPath holds the names of the sub-groups drilled into and is saved with the scene.
+//
+// Every step replays the transition from the stacked-group keyframe before the wheel (the
+// group-to-wheel choreography, with cards matched by data row); backing up plays the same leg
+// backwards. setupBreadcrumbs() shows the path over the canvas, each level a way back up.
+
+// Settings of a drill step on wheel keyframe `index`
+function drillTransition(ctx, index, up) {
+    const groupKF = findPreviousKeyframeWithLayout(ctx, index, 'stacked-group');
+    const tr = groupKF >= 0
+        ? getTransition(ctx, groupKF, index)
+        : { ...TRANSITION_DEFAULTS, ...layoutPairChoreography('stacked-group', 'wheel') };
+    return { ...tr, match: 'data', reverse: up };
+}
+
+// The level keyframe kf shows, or null when it does not drill: { trail, canDrill }. trail names
+// the selected group and the sub-groups drilled into (a stale drill path is cut short).
+function drillLevel(ctx, kf) {
+    if (!drillsInto(kf)) return null;
+    const res = resolveData(kf, ctx.datasets, { group: ctx.selectedGroup, path: ctx.drillPath });
+    if (!res || !res.trail) return null;
+    return { trail: res.trail, canDrill: !!res.groups };
+}
+
+// Sub-group a click on `card` (a renderState entry) drills into, or null
+function drillTargetOf(ac, card) {
+    const kf = ac.keyframes[ac.currentKF];
+    if (!drillsInto(kf) || !card || card.dataKey === undefined) return null;
+    const laid = layoutCards(ac, kf).find(c => c.dataKey === card.dataKey);
+    return laid && laid.drillName !== undefined ? laid.drillName : null;
+}
+
+// Animate the wheel on (or on the way to) the planned keyframe to drill path `path`; false
+// when that keyframe does not drill or is already there
+function drillTo(ac, path) {
+    const index = plannedKeyframe(ac);
+    if (!drillLevel(ac, ac.keyframes[index]) || JSON.stringify(path) === JSON.stringify(ac.drillPath)) return false;
+    startAnimationTo(ac, index, { drill: [...path] });
+    return true;
+}
+
+function drillInto(ac, name) {
+    const level = drillLevel(ac, ac.keyframes[plannedKeyframe(ac)]);
+    return !!level && level.canDrill && drillTo(ac, [...level.trail.slice(1), name]);
+}
+
+// Back up `levels` levels (no further than the selected group)
+function drillUp(ac, levels = 1) {
+    const level = drillLevel(ac, ac.keyframes[plannedKeyframe(ac)]);
+    if (!level || level.trail.length < 2) return false;
+    return drillTo(ac, level.trail.slice(1, Math.max(1, level.trail.length - levels)));
+}
+
+// -----------------------------------------------------------------------------
+// Breadcrumbs
+// -----------------------------------------------------------------------------
+
+// Path bar over ac's canvas while a drilling wheel is shown: an "up" button, then one button per
+// level above the current one. Returns a cleanup function.
+function setupBreadcrumbs(ac) {
+    const nav = document.createElement('nav');
+    nav.className = 'ac-breadcrumbs';
+    nav.setAttribute('aria-label', 'Drill path');
+    ac.container.appendChild(nav);
+
+    const button = (text, title, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+        return btn;
+    };
+    const render = () => {
+        const level = drillLevel(ac, ac.keyframes[plannedKeyframe(ac)]);
+        nav.hidden = !level;
+        nav.textContent = '';
+        if (!level) return;
+        const up = button('↑', 'Back up one level', () => drillUp(ac));
+        up.disabled = level.trail.length < 2;
+        nav.appendChild(up);
+        level.trail.forEach((name, k) => {
+            if (k > 0) {
+                const sep = document.createElement('span');
+                sep.className = 'ac-breadcrumb-sep';
+                sep.textContent = '›';
+                nav.appendChild(sep);
+            }
+            if (k === level.trail.length - 1) {
+                const here = document.createElement('span');
+                here.textContent = name || '—';
+                here.setAttribute('aria-current', 'location');
+                nav.appendChild(here);
+            } else {
+                nav.appendChild(button(name || '—', `Back up to ${name || '—'}`, () => drillTo(ac, level.trail.slice(1, k + 1))));
+            }
+        });
+    };
+
+    const events = ['transitionstart', 'keyframe', 'drill', 'scene', 'change'];
+    events.forEach(type => ac.on(type, render));
+    render();
+    return () => {
+        events.forEach(type => ac.off(type, render));
+        nav.remove();
+    };
+}
@@ -0,0 +1,89 @@
+// Animation Cards – Easing curves
+// Named easing functions t∈[0,1] -> progress, plus the parametric steps() and cubic-bezier() curves.
+
+const EASINGS = {
+    'linear': t => t
+};
+
+// Polynomial / trigonometric families from their ease-in form
+const easeOutOf = (easeIn) => (t) => 1 - easeIn(1 - t);
+const easeInOutOf = (easeIn) => (t) => (t < 0.5 ? easeIn(2 * t) / 2 : 1 - easeIn(2 - 2 * t) / 2);
+
+const BACK_OVERSHOOT = 1.70158;
+const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+
+function bounceOut(t) {
+    const n1 = 7.5625, d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+}
+
+const EASE_IN_FAMILIES = {
+    Quad: t => t * t,
+    Cubic: t => t * t * t,
+    Quart: t => t * t * t * t,
+    Quint: t => t * t * t * t * t,
+    Sine: t => 1 - Math.cos((t * Math.PI) / 2),
+    Expo: t => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+    Circ: t => 1 - Math.sqrt(1 - t * t),
+    Back: t => (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+    Elastic: t => (t === 0 || t === 1) ? t : -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD),
+    Bounce: t => 1 - bounceOut(1 - t)
+};
+
+for (const [family, easeIn] of Object.entries(EASE_IN_FAMILIES)) {
+    EASINGS['easeIn' + family] = easeIn;
+    EASINGS['easeOut' + family] = easeOutOf(easeIn);
+    EASINGS['easeInOut' + family] = easeInOutOf(easeIn);
+}
+
+// Parametric curves, configured through the transition settings
+const PARAMETRIC_EASINGS = ['steps', 'cubic-bezier'];
+
+function easingNames() {
+    return [...Object.keys(EASINGS), ...PARAMETRIC_EASINGS];
+}
+
+// Jump curve with n equal steps, like CSS steps(n, end)
+function stepsEasing(n) {
+    const count = Math.max(1, Math.round(n));
+    return t => (t >= 1 ? 1 : Math.floor(t * count) / count);
+}
+
+// CSS-style cubic-bezier(x1, y1, x2, y2): solve x(u) = t for u, return y(u)
+function cubicBezierEasing(x1, y1, x2, y2) {
+    const cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    const cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+    const sampleX = u => ((ax * u + bx) * u + cx) * u;
+    const sampleY = u => ((ay * u + by) * u + cy) * u;
+    const slopeX = u => (3 * ax * u + 2 * bx) * u + cx;
+
+    const solveU = (t) => {
+        // Newton–Raphson first, bisection when the slope is too flat
+        let u = t;
+        for (let i = 0; i < 8; i++) {
+            const err = sampleX(u) - t;
+            if (Math.abs(err) < 1e-6) return u;
+            const d = slopeX(u);
+            if (Math.abs(d) < 1e-6) break;
+            u -= err / d;
+        }
+        let lo = 0, hi = 1;
+        u = t;
+        while (hi - lo > 1e-6) {
+            if (sampleX(u) < t) lo = u; else hi = u;
+            u = (lo + hi) / 2;
+        }
+        return u;
+    };
+    return t => (t <= 0 ? 0 : t >= 1 ? 1 : sampleY(solveU(t)));
+}
+
+// Easing function for a transition settings object ({ easing, steps, bezier })
+function makeEasing(settings) {
+    if (settings.easing === 'steps') return stepsEasing(settings.steps);
+    if (settings.easing === 'cubic-bezier') return cubicBezierEasing(...settings.bezier);
+    return EASINGS[settings.easing] || EASINGS.easeInOutCubic;
+}
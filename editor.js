@@ -0,0 +1,539 @@
+// Animation Cards – Editor panel
+// The side panel (keyframe tabs and parameter editors, transition settings, scene files), the
+// timeline bar and the export panel, bound to one AnimationCards instance. The page markup
+// (index.html) provides the elements, looked up by id inside `root`:
+//
+//     const cards = new AnimationCards('#canvas-container', scene);
+//     const editor = attachEditor(cards, { autosave: true });
+//     …
+//     editor.detach();
+//
+// An instance works the same without an editor; edits made here are reported through its
+// "change" event.
+
+function attachEditor(ac, { root = document, autosave = false } = {}) {
+    const controller = new AbortController();
+    const ed = {
+        ac,
+        root,
+        signal: controller.signal, // removes every listener added to the page markup on detach
+        activeTab: ac.currentKF,   // keyframe whose editor is shown in the side panel
+        scrubbing: false,          // the timeline scrubber is being dragged
+        statsUpdate: 0,            // ms of the last stats readout refresh
+        $: (id) => root.querySelector('#' + id)
+    };
+    const { signal } = ed;
+
+    // panel toggle
+    const panel = ed.$('sidePanel');
+    ed.$('togglePanelBtn').addEventListener('click', () => {
+        panel.classList.toggle('open');
+        ac.container.classList.toggle('shifted');
+    }, { signal });
+    ed.$('closePanelBtn').addEventListener('click', () => {
+        panel.classList.remove('open');
+        ac.container.classList.remove('shifted');
+    }, { signal });
+
+    // any edit in the panel is a change of the scene
+    const changed = () => ac.emit('change');
+    panel.addEventListener('input', changed, { signal });
+    panel.addEventListener('change', changed, { signal });
+
+    // scene export / import
+    ed.$('exportSceneBtn').addEventListener('click', () => exportSceneFile(ac), { signal });
+    const importInput = ed.$('importSceneInput');
+    ed.$('importSceneBtn').addEventListener('click', () => importInput.click(), { signal });
+    importInput.addEventListener('change', () => {
+        if (importInput.files[0]) importSceneFile(ac, importInput.files[0]);
+        importInput.value = '';
+    }, { signal });
+
+    // shareable link to the scene (permalink.js)
+    const copyLinkBtn = ed.$('copyLinkBtn');
+    copyLinkBtn.addEventListener('click', () => {
+        copySceneLink(ac).then(() => {
+            copyLinkBtn.title = 'Link copied';
+            setTimeout(() => { copyLinkBtn.title = 'Copy a link that opens this scene'; }, 2000);
+        }, (e) => alert(`Could not copy the link:\n\n${e.message}`));
+    }, { signal });
+
+    // keyframe management
+    ed.$('addKfBtn').addEventListener('click', () => insertKeyframe(ed, ed.activeTab + 1, defaultKeyframe()), { signal });
+    ed.$('duplicateKfBtn').addEventListener('click', () => {
+        const copy = JSON.parse(JSON.stringify(ac.keyframes[ed.activeTab]));
+        insertKeyframe(ed, ed.activeTab + 1, copy);
+    }, { signal });
+    ed.$('deleteKfBtn').addEventListener('click', () => deleteKeyframe(ed, ed.activeTab), { signal });
+    ed.$('moveKfLeftBtn').addEventListener('click', () => moveKeyframe(ed, ed.activeTab, ed.activeTab - 1), { signal });
+    ed.$('moveKfRightBtn').addEventListener('click', () => moveKeyframe(ed, ed.activeTab, ed.activeTab + 1), { signal });
+
+    // animate controls
+    ed.$('animateForwardBtn').addEventListener('click', () => ac.next(), { signal });
+    ed.$('animateBackwardBtn').addEventListener('click', () => ac.prev(), { signal });
+
+    // reduced-motion preference of the instance (accessibility.js)
+    const motionReduce = ed.$('motionReduce'), motionStyle = ed.$('motionStyle');
+    motionReduce.value = ac.motion.reduce;
+    motionStyle.value = ac.motion.style;
+    motionReduce.addEventListener('change', () => { ac.motion.reduce = motionReduce.value; }, { signal });
+    motionStyle.addEventListener('change', () => { ac.motion.style = motionStyle.value; }, { signal });
+
+    // what Forward / Backward / clicks do while a transition plays (startAnimationTo)
+    const interruptMode = ed.$('interruptMode');
+    interruptMode.value = ac.interrupt;
+    interruptMode.addEventListener('change', () => {
+        ac.interrupt = interruptMode.value;
+        if (ac.interrupt !== 'queue') ac.queue = [];
+    }, { signal });
+
+    // Timing controls (filled by generateTimingControls)
+    const timingDiv = document.createElement('div');
+    timingDiv.className = 'timing-controls';
+    timingDiv.id = 'timingControls';
+    panel.querySelector('.controls').appendChild(timingDiv);
+
+    // Tabs, parameter editors and per-transition durations
+    rebuildPanel(ed);
+
+    // transport bar under the canvas
+    setupTimeline(ed);
+
+    // off-screen frame / video export
+    setupExportPanel(ed);
+
+    // SVG / PDF of the frame on screen
+    setupVectorExportPanel(ed);
+
+    // undo / redo (Ctrl+Z / Ctrl+Shift+Z) and the history list
+    setupHistoryPanel(ed);
+
+    // keep up with the instance: loaded / replaced scenes, playback, autosave
+    const onScene = () => {
+        ed.activeTab = Math.min(ed.activeTab, ac.keyframes.length - 1);
+        rebuildPanel(ed);
+    };
+    const onFrame = () => {
+        updateTimelineUI(ed);
+        updateStatsReadout(ed);
+    };
+    const onChange = () => scheduleAutosave(ac);
+    ac.on('scene', onScene).on('frame', onFrame);
+    if (autosave) ac.on('change', onChange);
+
+    ed.detach = () => {
+        controller.abort();
+        ac.off('scene', onScene).off('frame', onFrame).off('change', onChange).off('destroy', ed.detach);
+        timingDiv.remove();
+    };
+    ac.on('destroy', ed.detach);
+    return ed;
+}
+
+function rebuildPanel(ed) {
+    const { ac } = ed;
+    generateKeyframeTabs(ed);
+    generateKeyframePanels(ed);
+    generateTimingControls(ed);
+
+    ed.$('deleteKfBtn').disabled = ac.keyframes.length <= 1;
+    ed.$('moveKfLeftBtn').disabled = ed.activeTab === 0;
+    ed.$('moveKfRightBtn').disabled = ed.activeTab === ac.keyframes.length - 1;
+}
+
+function generateKeyframeTabs(ed) {
+    const nav = ed.$('kfTabs');
+    nav.innerHTML = '';
+    ed.ac.keyframes.forEach((kf, idx) => {
+        const btn = document.createElement('button');
+        btn.className = 'tab-btn' + (idx === ed.activeTab ? ' active' : '');
+        btn.innerHTML = `KF&nbsp;${idx + 1}`;
+        btn.title = kf.layout;
+        btn.addEventListener('click', () => selectKeyframeTab(ed, idx));
+        nav.appendChild(btn);
+    });
+}
+
+function selectKeyframeTab(ed, idx) {
+    ed.activeTab = idx;
+    ed.$('kfTabs').querySelectorAll('.tab-btn').forEach((b, i) => b.classList.toggle('active', i === idx));
+    ed.$('kfPanels').querySelectorAll('.tab-content').forEach((tc, i) => tc.classList.toggle('active', i === idx));
+    ed.$('moveKfLeftBtn').disabled = idx === 0;
+    ed.$('moveKfRightBtn').disabled = idx === ed.ac.keyframes.length - 1;
+    // Immediately switch to this keyframe state
+    ed.ac.goTo(idx, { immediate: true });
+}
+
+function generateTimingControls(ed) {
+    const { keyframes } = ed.ac;
+    const timingDiv = ed.$('timingControls');
+    timingDiv.innerHTML = '';
+    if (keyframes.length < 2) return;
+    keyframes.forEach((_, from) => {
+        const to = (from + 1) % keyframes.length;
+        if (keyframes.length === 2 && from === 1) return; // 1-0 is just the reverse of 0-1
+        timingDiv.appendChild(createTransitionEditor(ed, from, to));
+    });
+}
+
+// Collapsible editor for one transition: tween (duration, easing, timing windows) or spring
+// settings, and choreography
+function createTransitionEditor(ed, from, to) {
+    const { ac } = ed;
+    const tr = getTransition(ac, from, to);
+    const wrap = document.createElement('details');
+    wrap.className = 'transition-editor';
+    const summary = document.createElement('summary');
+    const updateSummary = () => {
+        const cur = getTransition(ac, from, to);
+        summary.textContent = cur.mode === 'spring'
+            ? `KF${from + 1}→${to + 1}: spring · k ${cur.stiffness} · c ${cur.damping} · m ${cur.mass}`
+            : `KF${from + 1}→${to + 1}: ${cur.duration} ms · ${cur.easing}`;
+    };
+    updateSummary();
+    wrap.appendChild(summary);
+
+    const set = (field, value) => {
+        editTransition(ac, from, to)[field] = value;
+        updateSummary();
+    };
+    const numberInput = (field, label, attrs) => {
+        const inp = document.createElement('input');
+        inp.type = 'number'; inp.value = tr[field];
+        Object.assign(inp, attrs);
+        inp.addEventListener('input', () => {
+            let v = parseFloat(inp.value);
+            if (inp.step === '1') v = Math.round(v); // whole-number fields (steps, turns)
+            set(field, isNaN(v) ? TRANSITION_DEFAULTS[field] : clamp(v, +inp.min, inp.max === '' ? Infinity : +inp.max));
+        });
+        const row = createInputRow(label, inp);
+        wrap.appendChild(row);
+        return row;
+    };
+
+    const modeSel = document.createElement('select');
+    [['tween', 'Tween (duration)'], ['spring', 'Spring']].forEach(([v, label]) => {
+        const opt = document.createElement('option');
+        opt.value = v; opt.textContent = label; modeSel.appendChild(opt);
+    });
+    modeSel.value = tr.mode;
+    wrap.appendChild(createInputRow('Motion', modeSel));
+
+    const durationRow = numberInput('duration', 'Duration (ms)', { min: '100', step: '100' });
+
+    const easeSel = document.createElement('select');
+    easingNames().forEach(v => {
+        const opt = document.createElement('option');
+        opt.value = v; opt.textContent = v; easeSel.appendChild(opt);
+    });
+    easeSel.value = tr.easing;
+    const easingRow = createInputRow('Easing', easeSel);
+    wrap.appendChild(easingRow);
+
+    const stepsRow = numberInput('steps', 'Steps', { min: '1', step: '1' });
+    const bezierWrap = document.createElement('span');
+    tr.bezier.forEach((v, i) => {
+        const inp = document.createElement('input');
+        inp.type = 'number'; inp.step = '0.05'; inp.value = v;
+        inp.className = 'bezier-input';
+        if (i % 2 === 0) { inp.min = '0'; inp.max = '1'; } // x control points must stay in [0,1]
+        inp.addEventListener('input', () => {
+            const bezier = [...getTransition(ac, from, to).bezier];
+            const parsed = parseFloat(inp.value);
+            bezier[i] = isNaN(parsed) ? 0 : (i % 2 === 0 ? clamp(parsed, 0, 1) : parsed);
+            set('bezier', bezier);
+        });
+        bezierWrap.appendChild(inp);
+    });
+    const bezierRow = createInputRow('Bezier', bezierWrap);
+    wrap.appendChild(bezierRow);
+
+    // spring mode (spring.js): the springs set the timing, so the tween rows are hidden
+    const springRows = [
+        numberInput('stiffness', 'Stiffness', { min: '1', step: '10' }),
+        numberInput('damping', 'Damping', { min: '0', step: '1' }),
+        numberInput('mass', 'Mass', { min: '0.1', step: '0.1' }),
+        numberInput('springStagger', 'Spring Stagger (ms)', { min: '0', step: '10' })
+    ];
+
+    const win = { min: '0', max: '1', step: '0.05' };
+    const windowRows = [
+        numberInput('spawnStart', 'Spawn Start', win),
+        numberInput('spawnWindow', 'Spawn Window', win),
+        numberInput('collapseWindow', 'Collapse Window', win),
+        numberInput('colorBlendStart', 'Colour Blend Start', win),
+        numberInput('colorBlendEnd', 'Colour Blend End', win)
+    ];
+
+    const showModeParams = () => {
+        const spring = modeSel.value === 'spring';
+        [durationRow, easingRow, ...windowRows].forEach(row => { row.style.display = spring ? 'none' : ''; });
+        springRows.forEach(row => { row.style.display = spring ? '' : 'none'; });
+        stepsRow.style.display = !spring && easeSel.value === 'steps' ? '' : 'none';
+        bezierRow.style.display = !spring && easeSel.value === 'cubic-bezier' ? '' : 'none';
+        moveStaggerRow.style.display = spring ? 'none' : '';
+    };
+    modeSel.addEventListener('change', () => { set('mode', modeSel.value); showModeParams(); });
+    easeSel.addEventListener('change', () => { set('easing', easeSel.value); showModeParams(); });
+
+    // choreography (choreography.js)
+    const choice = (field, label, options) => {
+        const sel = document.createElement('select');
+        options.forEach(v => {
+            const opt = document.createElement('option');
+            opt.value = v; opt.textContent = v; sel.appendChild(opt);
+        });
+        sel.value = tr[field];
+        sel.addEventListener('change', () => set(field, sel.value));
+        wrap.appendChild(createInputRow(label, sel));
+    };
+    choice('match', 'Match Cards By', Object.keys(CARD_MATCHERS));
+    choice('spawnOrigin', 'Spawn From', Object.keys(SPAWN_ORIGINS));
+    choice('stagger', 'Stagger Order', Object.keys(STAGGER_ORDERS));
+    const moveStaggerRow = numberInput('moveStagger', 'Move Stagger', win);
+    choice('collapse', 'Collapse Style', Object.keys(COLLAPSE_STYLES));
+
+    const turns = { min: '-10', max: '10', step: '1' };
+    numberInput('cameraSpin', 'Camera Spin (turns)', turns);
+    numberInput('cardSpin', 'Card Spin (turns)', turns);
+    showModeParams();
+    return wrap;
+}
+
+// -----------------------------------------------------------------------------
+// KEYFRAME LIST EDITING
+// -----------------------------------------------------------------------------
+
+// Re-key everything that refers to keyframes by index. mapIndex(old) returns the
+// new index, or null when that keyframe no longer exists.
+function remapKeyframeIndices(ed, mapIndex) {
+    const { ac } = ed;
+    const remapped = {};
+    for (const [key, settings] of Object.entries(ac.transitions)) {
+        const [a, b] = key.split('-').map(Number);
+        const na = mapIndex(a), nb = mapIndex(b);
+        if (na == null || nb == null || na === nb) continue;
+        remapped[transitionKey(na, nb)] = settings;
+    }
+    ac.transitions = remapped;
+
+    const clampIdx = (i) => Math.min(Math.max(i, 0), ac.keyframes.length - 1);
+    ac.currentKF = clampIdx(mapIndex(ac.currentKF) ?? ac.currentKF);
+    ed.activeTab = clampIdx(mapIndex(ed.activeTab) ?? ed.activeTab);
+    ac.animating = false;
+    ac.targetKF = ac.currentKF;
+    ac.queue = [];
+}
+
+function keyframesChanged(ed, label) {
+    rebuildPanel(ed);
+    ed.ac.refreshKeyframe(ed.ac.currentKF);
+    ed.ac.emit('change', { label });
+}
+
+function insertKeyframe(ed, index, kf) {
+    ed.ac.keyframes.splice(index, 0, kf);
+    remapKeyframeIndices(ed, i => (i >= index ? i + 1 : i));
+    ed.activeTab = ed.ac.currentKF = index;
+    keyframesChanged(ed, `Add KF${index + 1}`);
+}
+
+function deleteKeyframe(ed, index) {
+    const { keyframes } = ed.ac;
+    if (keyframes.length <= 1) return;
+    keyframes.splice(index, 1);
+    remapKeyframeIndices(ed, i => (i === index ? null : i > index ? i - 1 : i));
+    keyframesChanged(ed, `Delete KF${index + 1}`);
+}
+
+function moveKeyframe(ed, from, to) {
+    const { keyframes } = ed.ac;
+    if (to < 0 || to >= keyframes.length || to === from) return;
+    const [kf] = keyframes.splice(from, 1);
+    keyframes.splice(to, 0, kf);
+    remapKeyframeIndices(ed, i => {
+        if (i === from) return to;
+        if (from < to && i > from && i <= to) return i - 1;
+        if (from > to && i >= to && i < from) return i + 1;
+        return i;
+    });
+    keyframesChanged(ed, `Move KF${from + 1} to ${to + 1}`);
+}
+
+// Helper: create labelled input row
+function createInputRow(labelText, inputEl) {
+    const row = document.createElement('div');
+    row.className = 'input-row';
+    const lab = document.createElement('label');
+    lab.textContent = labelText;
+    lab.style.marginRight = '8px';
+    lab.style.minWidth = '110px';
+    lab.style.display = 'inline-block';
+    lab.style.fontSize = '12px';
+    row.appendChild(lab);
+    row.appendChild(inputEl);
+    return row;
+}
+
+// Input row for a parameter declared by a registered layout
+function createLayoutParamRow(ed, kf, idx, param) {
+    let el;
+    if (param.type === 'select') {
+        el = document.createElement('select');
+        param.options.forEach(v => {
+            const opt = document.createElement('option');
+            opt.value = v; opt.textContent = v; el.appendChild(opt);
+        });
+    } else {
+        el = document.createElement('input');
+        el.type = 'number';
+        if (param.min !== undefined) el.min = param.min;
+        if (param.max !== undefined) el.max = param.max;
+        if (param.step !== undefined) el.step = param.step;
+    }
+    el.value = layoutParam(kf, param.key);
+    el.addEventListener(param.type === 'select' ? 'change' : 'input', () => {
+        if (param.type === 'select') {
+            kf[param.key] = el.value;
+        } else {
+            const v = parseFloat(el.value);
+            kf[param.key] = isNaN(v) ? param.default : v;
+        }
+        ed.ac.refreshKeyframe(idx);
+    });
+    const row = createInputRow(param.label, el);
+    if (param.type === 'seed') {
+        // re-roll button picks a fresh seed; the value itself stays editable for reproducing one
+        const roll = document.createElement('button');
+        roll.className = 'seed-btn';
+        roll.title = 'New random seed';
+        roll.innerHTML = '<i class="fas fa-dice"></i>';
+        roll.addEventListener('click', () => {
+            el.value = Math.floor(Math.random() * 1e6);
+            el.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        row.appendChild(roll);
+    }
+    return row;
+}
+
+function generateKeyframePanels(ed) {
+    const { ac } = ed;
+    const panels = ed.$('kfPanels');
+    panels.innerHTML = '';
+    ac.keyframes.forEach((kf, idx)=>{
+        const cont = document.createElement('div');
+        cont.className = 'tab-content' + (idx === ed.activeTab ? ' active' : '');
+        const refresh = () => ac.refreshKeyframe(idx);
+        // camera edits also show the edited view when this keyframe is on screen
+        const refreshView = () => { refresh(); if (ac.currentKF === idx) viewKeyframeCamera(ac, kf); };
+        panels.appendChild(cont);
+
+        // Layout select
+        const layoutSel = document.createElement('select');
+        layoutNames().forEach(v=>{
+            const opt = document.createElement('option');
+            opt.value=v; opt.textContent=getLayout(v).label; layoutSel.appendChild(opt);
+        });
+        layoutSel.value=kf.layout;
+        layoutSel.addEventListener('change',()=>{
+            kf.layout = layoutSel.value;
+            if (kf.layout === 'stacked-group' && !kf.groupSpec) kf.groupSpec = defaultGroupSpec();
+            refresh();
+            rebuildPanel(ed); // layout specific parameter rows and tab titles
+        });
+        cont.appendChild(createInputRow('Layout', layoutSel));
+
+        // Card count
+        const countIn = document.createElement('input');
+        countIn.type='number'; countIn.min='1'; countIn.value=kf.cardCount;
+        if (kf.data && ac.datasets[kf.data.dataset]) { countIn.disabled = true; countIn.title = 'One card per data row'; }
+        countIn.addEventListener('input',()=>{
+            kf.cardCount=parseInt(countIn.value)||1;
+            refresh();
+            cont.querySelector('.group-editor')?.refreshCounts();
+        });
+        cont.appendChild(createInputRow('Card Count', countIn));
+
+        // Card width / height
+        const widthIn=document.createElement('input'); widthIn.type='number'; widthIn.value=kf.cardWidth;
+        widthIn.addEventListener('input',()=>{ kf.cardWidth=parseFloat(widthIn.value)||1; refresh(); });
+        cont.appendChild(createInputRow('Card Width', widthIn));
+
+        const heightIn=document.createElement('input'); heightIn.type='number'; heightIn.value=kf.cardHeight;
+        heightIn.addEventListener('input',()=>{ kf.cardHeight=parseFloat(heightIn.value)||1; refresh(); });
+        cont.appendChild(createInputRow('Card Height', heightIn));
+
+        // Card thickness
+        const thickIn=document.createElement('input'); thickIn.type='number'; thickIn.step='0.1'; thickIn.value=kf.cardThickness;
+        thickIn.addEventListener('input',()=>{ kf.cardThickness=parseFloat(thickIn.value)||0.1; refresh(); });
+        cont.appendChild(createInputRow('Thickness', thickIn));
+
+        // Spacing
+        const spaceIn=document.createElement('input'); spaceIn.type='number'; spaceIn.step='0.1'; spaceIn.value=kf.cardSpacing;
+        spaceIn.addEventListener('input',()=>{ kf.cardSpacing=parseFloat(spaceIn.value)||0.1; refresh(); });
+        cont.appendChild(createInputRow('Spacing', spaceIn));
+
+        // Parameters declared by the layout
+        const layout = getLayout(kf.layout);
+        if (layout) layout.params.forEach(param => cont.appendChild(createLayoutParamRow(ed, kf, idx, param)));
+
+        // Group sizes / colours / names (from the data when a group column is mapped)
+        if (kf.layout === 'stacked-group' && kf.groupSpec) {
+            if (kf.data && kf.data.group && ac.datasets[kf.data.dataset]) {
+                const note = document.createElement('div');
+                note.className = 'data-note';
+                note.textContent = `Groups come from the "${kf.data.group}" column`;
+                cont.appendChild(note);
+            } else {
+                cont.appendChild(createGroupEditor(ed, kf, idx));
+            }
+        }
+
+        // Dataset binding and column mapping
+        cont.appendChild(createDataSection(ed, kf, idx));
+
+        // Label / image on the card faces
+        cont.appendChild(createFaceSection(ed, kf, idx));
+
+        // Camera zoom
+        const cam = cameraOf(kf);
+        const zoomIn=document.createElement('input'); zoomIn.type='number'; zoomIn.step='0.1'; zoomIn.value=cam.zoom;
+        zoomIn.addEventListener('input',()=>{ kf.camera.zoom=parseFloat(zoomIn.value)||1; refreshView(); });
+        cont.appendChild(createInputRow('Zoom', zoomIn));
+
+        // Camera rotations X,Y,Z and orbit target
+        ['rotX','rotY','rotZ','targetX','targetY','targetZ'].forEach(field=>{
+            const inp=document.createElement('input'); inp.type='number'; inp.step='1'; inp.value=cam[field];
+            inp.addEventListener('input',()=>{ kf.camera[field]=parseFloat(inp.value)||0; refreshView(); });
+            const label = field.startsWith('rot') ? 'Cam '+field.toUpperCase() : 'Target '+field.slice(-1);
+            cont.appendChild(createInputRow(label, inp));
+        });
+
+        // Store the view orbited on the canvas / go back to the stored one
+        const camActions = document.createElement('div');
+        camActions.className = 'camera-actions';
+        const captureBtn = document.createElement('button');
+        captureBtn.innerHTML = '<i class="fas fa-camera"></i>&nbsp;Capture View';
+        captureBtn.title = 'Store the current canvas view in this keyframe';
+        captureBtn.addEventListener('click', () => { captureView(ac, kf); rebuildPanel(ed); ac.emit('change', { label: `KF${idx + 1} capture view` }); });
+        const resetBtn = document.createElement('button');
+        resetBtn.innerHTML = '<i class="fas fa-undo"></i>&nbsp;Reset View';
+        resetBtn.title = "Back to this keyframe's camera";
+        resetBtn.addEventListener('click', () => viewKeyframeCamera(ac, kf));
+        camActions.appendChild(captureBtn);
+        camActions.appendChild(resetBtn);
+        cont.appendChild(camActions);
+    });
+}
+
+// fps / card count readout
+const STATS_INTERVAL = 500; // ms
+
+function updateStatsReadout(ed) {
+    const readout = ed.$('statsReadout');
+    const now = performance.now();
+    if (!readout || now - ed.statsUpdate < STATS_INTERVAL) return;
+    ed.statsUpdate = now;
+    readout.textContent = `${Math.round(ed.ac.p5.frameRate())} fps · ${ed.ac.renderStats.drawn} cards`;
+}
@@ -0,0 +1,91 @@
+// Animation Cards – Headless engine
+// The scene engine as pure functions: a scene document in, card states and camera for a given
+// time out. Nothing here touches p5, the DOM or an AnimationCards instance, so the same
+// scripts run in Node (test/helpers/load-engine.js loads them there) and in the page.
+//
+//     const scene = engineScene(doc);
+//     engineKeyframe(scene, 1)             -> { cards, camera }
+//     engineTransition(scene, 1, 2, 400)   -> { cards, camera, t, done } 400 ms into KF2 -> KF3
+//     engineLivePose(scene, 1, 2, 400)     -> { cards, camera } to start another leg from (retargeting)
+//     engineTimeline(scene, 2500)          -> the same, playing KF1 -> KF2 -> … one after another
+//     engineDrill(scene, 2, [], ['A'], 400) -> 400 ms into drilling the wheel of KF3 into sub-group A
+//
+// Card states are those of renderState: { x, y, z, rotX, rotY, rotZ, w, h, d, stroke,
+// groupIndex, face, alive, … }; the camera is { zoom, rotX, rotY, rotZ, targetX, targetY, targetZ }.
+// Stroke colours other than "#rgb" / "#rrggbb(aa)" need a browser to be parsed (colors.js).
+
+// An engine scene is the part of an instance the layout and transition code reads:
+// { keyframes, transitions, selectedGroup, drillPath, datasets }. Throws like AnimationCards#load().
+function engineScene(doc) {
+    const scene = {};
+    loadScene(scene, checkScene(JSON.parse(JSON.stringify(doc))));
+    return scene;
+}
+
+// Laid-out cards of keyframe `index` (copies: the layout cache keeps the originals)
+function engineKeyframe(scene, index) {
+    const kf = scene.keyframes[index];
+    if (!kf) throw new RangeError(`keyframe index ${index} is out of range`);
+    return {
+        cards: layoutCards(scene, kf).map(c => ({ ...c, alive: 1 })),
+        camera: cameraOf(kf)
+    };
+}
+
+// State `ms` into the transition from -> to. `overrides` replace transition settings for this
+// call only (e.g. { crossfade: true } for the reduced-motion cross-fade). `start`, a live pose
+// of engineLivePose(), replaces keyframe `from` as the starting point, like an instance
+// retargeting mid-transition. t is the eased progress (spring mode: the share of the settling time).
+function engineTransition(scene, from, to, ms, overrides = {}, start = null) {
+    const { tr, fromState, toKF } = engineLeg(scene, from, to, overrides, start);
+    const duration = transitionDuration(scene, fromState, toKF, tr);
+    const frame = transitionFrameAt(scene, fromState, toKF, ms, tr);
+    const t = tr.mode === 'spring' ? clamp(ms / duration, 0, 1) : transitionProgress(tr, ms);
+    return { ...frame, t, done: ms >= duration };
+}
+
+// Visible cards and camera `ms` into the transition (with spring velocities), as a `start`
+// for the next engineTransition()
+function engineLivePose(scene, from, to, ms, overrides = {}, start = null) {
+    const { tr, fromState, toKF } = engineLeg(scene, from, to, overrides, start);
+    return livePose(scene, fromState, toKF, ms, tr);
+}
+
+function engineLeg(scene, from, to, overrides, start) {
+    [from, to].forEach(i => {
+        if (!scene.keyframes[i]) throw new RangeError(`keyframe index ${i} is out of range`);
+    });
+    return {
+        tr: { ...getTransition(scene, from, to), ...overrides },
+        fromState: start || scene.keyframes[from],
+        toKF: scene.keyframes[to]
+    };
+}
+
+// State `ms` into a drill step on nested-data wheel keyframe `index` (drill.js), from the level
+// at drill path `fromPath` to the one at `toPath`; a step up plays the step down backwards
+function engineDrill(scene, index, fromPath, toPath, ms) {
+    const kf = scene.keyframes[index];
+    if (!kf) throw new RangeError(`keyframe index ${index} is out of range`);
+    if (!drillsInto(kf)) throw new Error(`keyframe ${index} does not drill into nested data`);
+    const start = engineKeyframe({ ...scene, drillPath: fromPath }, index);
+    const target = { ...scene, drillPath: toPath };
+    const tr = drillTransition(target, index, toPath.length < fromPath.length);
+    const duration = transitionDuration(target, start, kf, tr);
+    return { ...transitionFrameAt(target, start, kf, ms, tr), done: ms >= duration };
+}
+
+// State `ms` into playing the keyframes of `path` one after another (default: every keyframe
+// in order). Past the end the last keyframe is held.
+function engineTimeline(scene, ms, path = scene.keyframes.map((_, i) => i)) {
+    let start = 0;
+    for (let k = 0; k + 1 < path.length; k++) {
+        const { keyframes } = scene;
+        const duration = transitionDuration(scene, keyframes[path[k]], keyframes[path[k + 1]], getTransition(scene, path[k], path[k + 1]));
+        if (ms < start + duration || k + 2 === path.length) {
+            return { from: path[k], to: path[k + 1], ...engineTransition(scene, path[k], path[k + 1], ms - start) };
+        }
+        start += duration;
+    }
+    return { from: path[0], to: path[0], ...engineKeyframe(scene, path[0]), t: 1, done: true };
+}
@@ -0,0 +1,211 @@
+// Animation Cards – Frame-exact export
+// Renders a transition (or the whole keyframe sequence) of an instance off-screen by stepping
+// the animation clock in fixed 1/fps increments, so the output never depends on real-time
+// performance.
+// Output is a zip of PNG frames (JSZip) or a WebM file (WebCodecs + webm-muxer).
+
+// [{ from, to }] transitions to render for the chosen range
+function exportSegments(ac, range) {
+    const { keyframes, currentKF } = ac;
+    if (keyframes.length < 2) return [];
+    if (range === 'sequence') {
+        return keyframes.map((_, i) => ({ from: i, to: (i + 1) % keyframes.length }));
+    }
+    return ac.animating
+        ? [{ from: currentKF, to: ac.targetKF }]
+        : [{ from: currentKF, to: (currentKF + 1) % keyframes.length }];
+}
+
+// Time positions (ms) of every output frame. The first frame of each later segment is the
+// last frame of the previous one, so it is not repeated.
+function exportFramePlan(ac, segments, fps) {
+    const plan = [];
+    segments.forEach((seg, s) => {
+        const { keyframes } = ac;
+        const duration = transitionDuration(ac, keyframes[seg.from], keyframes[seg.to], getTransition(ac, seg.from, seg.to));
+        const frames = Math.max(1, Math.round((duration / 1000) * fps));
+        for (let k = s === 0 ? 0 : 1; k <= frames; k++) {
+            plan.push({ seg, time: (k / frames) * duration });
+        }
+    });
+    return plan;
+}
+
+function snapshotPlayback(ac) {
+    const { currentKF, targetKF, animating, animDuration, animTransition, animFrom } = ac;
+    return {
+        currentKF, targetKF, animating, animDuration, animTransition, animFrom,
+        renderState: JSON.parse(JSON.stringify(ac.renderState)),
+        renderCamera: { ...ac.renderCamera },
+        clock: { ...ac.clock }
+    };
+}
+
+function restorePlayback(ac, snap) {
+    const { renderCamera, clock, ...playback } = snap;
+    Object.assign(ac, playback);
+    Object.assign(ac.renderCamera, renderCamera);
+    Object.assign(ac.clock, clock, { lastTick: null }); // don't count the export time as playback
+}
+
+// Put the engine on segment `seg` at `time` ms, exactly as drawFrame() would
+function seekExportFrame(ac, seg, time, activeSeg) {
+    if (activeSeg !== seg) {
+        ac.currentKF = seg.from;
+        ac.targetKF = seg.to;
+        ac.animTransition = getTransition(ac, seg.from, seg.to);
+        ac.animDuration = transitionDuration(ac, ac.keyframes[seg.from], ac.keyframes[seg.to], ac.animTransition);
+        ac.animating = true;
+        ac.renderState = [];
+        applyKeyframe(ac, ac.keyframes[seg.from], true);
+    }
+    evaluateTransitionAt(ac, time);
+}
+
+const canvasToBlob = (canvas) => new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// PNG sequence -> zip
+function createPngSink() {
+    if (typeof JSZip === 'undefined') throw new Error('PNG export needs JSZip, which failed to load');
+    const zip = new JSZip();
+    return {
+        async addFrame(canvas, index) {
+            zip.file(`frame_${String(index).padStart(5, '0')}.png`, await canvasToBlob(canvas));
+        },
+        async finish() {
+            return { blob: await zip.generateAsync({ type: 'blob' }), filename: 'animation-frames.zip' };
+        }
+    };
+}
+
+// Frames -> VP9 (or VP8) WebM, with timestamps taken from the frame index, not the wall clock
+async function createWebmSink(width, height, fps) {
+    if (typeof VideoEncoder === 'undefined') throw new Error('WebM export needs WebCodecs (VideoEncoder), which this browser lacks');
+    if (typeof WebMMuxer === 'undefined') throw new Error('WebM export needs webm-muxer, which failed to load');
+
+    const candidates = [
+        { codec: 'vp09.00.10.08', muxCodec: 'V_VP9' },
+        { codec: 'vp8', muxCodec: 'V_VP8' }
+    ];
+    let chosen = null;
+    for (const c of candidates) {
+        const config = { codec: c.codec, width, height, framerate: fps, bitrate: 12e6 };
+        if ((await VideoEncoder.isConfigSupported(config)).supported) { chosen = { ...c, config }; break; }
+    }
+    if (!chosen) throw new Error(`no WebM video codec supports ${width}×${height}`);
+
+    const muxer = new WebMMuxer.Muxer({
+        target: new WebMMuxer.ArrayBufferTarget(),
+        video: { codec: chosen.muxCodec, width, height, frameRate: fps }
+    });
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+        error: (e) => { encodeError = e; }
+    });
+    encoder.configure(chosen.config);
+    const frameUs = 1e6 / fps;
+
+    return {
+        async addFrame(canvas, index) {
+            if (encodeError) throw encodeError;
+            const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameUs), duration: Math.round(frameUs) });
+            encoder.encode(frame, { keyFrame: index % Math.max(1, Math.round(fps)) === 0 });
+            frame.close();
+            while (encoder.encodeQueueSize > 4) await nextTask(); // back-pressure
+        },
+        async finish() {
+            await encoder.flush();
+            encoder.close();
+            if (encodeError) throw encodeError;
+            muxer.finalize();
+            return { blob: new Blob([muxer.target.buffer], { type: 'video/webm' }), filename: 'animation.webm' };
+        }
+    };
+}
+
+// Render and download. options: { range: 'transition'|'sequence', format: 'png'|'webm', width, height, fps }
+// Resolves to true once the file was handed to the browser, false when cancelled or already exporting.
+async function exportAnimation(ac, options, onProgress = () => {}) {
+    if (ac.exportJob) return false;
+    const { range, format, fps } = options;
+    // even sizes keep the video encoders happy
+    const outWidth = Math.max(2, Math.round(options.width / 2) * 2);
+    const outHeight = Math.max(2, Math.round(options.height / 2) * 2);
+
+    const segments = exportSegments(ac, range);
+    if (!segments.length) throw new Error('add at least two keyframes to export a transition');
+    const plan = exportFramePlan(ac, segments, fps);
+
+    const job = ac.exportJob = { cancelled: false };
+    const snap = snapshotPlayback(ac);
+    const p = ac.p5;
+    p.noLoop();
+    const pg = p.createGraphics(outWidth, outHeight, p.WEBGL);
+    pg.pixelDensity(1);
+    try {
+        const sink = format === 'webm' ? await createWebmSink(outWidth, outHeight, fps) : createPngSink();
+        let activeSeg = null;
+        for (let i = 0; i < plan.length; i++) {
+            if (job.cancelled) return false;
+            seekExportFrame(ac, plan[i].seg, plan[i].time, activeSeg);
+            activeSeg = plan[i].seg;
+            renderScene(ac, pg, { hovered: null, standby: 0 });
+            await sink.addFrame(pg.elt, i);
+            onProgress(i + 1, plan.length);
+            await nextTask(); // keep the page responsive
+        }
+        const { blob, filename } = await sink.finish();
+        downloadBlob(blob, filename);
+        return true;
+    } finally {
+        pg.remove();
+        restorePlayback(ac, snap);
+        ac.exportJob = null;
+        if (!ac.destroyed) p.loop();
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Export panel
+// -----------------------------------------------------------------------------
+
+function setupExportPanel(ed) {
+    const { ac, signal } = ed;
+    const btn = ed.$('renderExportBtn');
+    const cancelBtn = ed.$('cancelExportBtn');
+    const status = ed.$('exportStatus');
+    const value = (id) => ed.$(id).value;
+
+    btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        cancelBtn.disabled = false;
+        status.textContent = 'Rendering…';
+        try {
+            const done = await exportAnimation(ac, {
+                range: value('exportRange'),
+                format: value('exportFormat'),
+                width: parseInt(value('exportWidth')) || 1920,
+                height: parseInt(value('exportHeight')) || 1080,
+                fps: parseFloat(value('exportFps')) || 30
+            }, (done, total) => { status.textContent = `Frame ${done} / ${total}`; });
+            status.textContent = done ? 'Done' : 'Cancelled';
+        } catch (e) {
+            status.textContent = 'Failed: ' + e.message;
+        } finally {
+            btn.disabled = false;
+            cancelBtn.disabled = true;
+        }
+    }, { signal });
+    cancelBtn.addEventListener('click', () => { if (ac.exportJob) ac.exportJob.cancelled = true; }, { signal });
+}
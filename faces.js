@@ -0,0 +1,209 @@
+// Animation Cards – Card faces
+// A label, number or thumbnail on the front face of each card. A keyframe's face settings are
+//
+//     kf.face = { text, image, font, size, align, valign, color }
+//
+// text and image are templates: "{index}" is the card number, "{group}" the group name,
+// "{key}" the data key and "{<column>}" any column of the bound dataset. A group's own
+// template (groupSpec.faceTexts[g]) replaces the keyframe text for its cards.
+// Faces are drawn as textures on a plane just in front of the box, so they stretch with the
+// card's w / h and fade with alive during transitions.
+
+const FACE_DEFAULTS = {
+    text: '',
+    image: '',
+    font: 'sans-serif',
+    size: 0.25,        // text height as a fraction of the card height
+    align: 'center',   // left | center | right
+    valign: 'middle',  // top | middle | bottom
+    color: '#ffffff'
+};
+const FACE_FONTS = ['sans-serif', 'serif', 'monospace', 'Georgia', 'Helvetica', 'Courier New'];
+const FACE_ALIGNS = ['left', 'center', 'right'];
+const FACE_VALIGNS = ['top', 'middle', 'bottom'];
+
+// texture height in px; the width follows the card's resting aspect ratio
+const FACE_TEXTURE_HEIGHT = 256;
+// faces rendered to textures and kept around per instance (ac.faceTextures), oldest dropped first
+const FACE_CACHE_SIZE = 256;
+
+// "{index} – {name}" with vars { index: 3, name: 'Ada' } -> "3 – Ada"; unknown names become ""
+function fillTemplate(template, vars) {
+    return template.replace(/\{([^{}]+)\}/g, (_, name) => {
+        const v = vars[name.trim()];
+        return v === undefined || v === null ? '' : String(v);
+    });
+}
+
+const faceSetting = (kf, key) => (kf.face && kf.face[key] !== undefined ? kf.face[key] : FACE_DEFAULTS[key]);
+
+// Resolve each card's face content (after the layout ran, so groupIndex is final)
+function applyFaces(cards, kf, res) {
+    const spec = kf.groupSpec;
+    if (!kf.face && !(spec && spec.faceTexts && spec.faceTexts.some(Boolean))) return;
+    const style = {};
+    ['font', 'size', 'align', 'valign', 'color'].forEach(k => { style[k] = faceSetting(kf, k); });
+    cards.forEach((c, i) => {
+        const row = res && c.dataIndex !== undefined ? res.dataset.rows[c.dataIndex] : {};
+        const vars = {
+            ...row,
+            index: i + 1,
+            group: spec && spec.names ? spec.names[c.groupIndex] : (c.groupIndex ?? 0) + 1,
+            key: c.dataKey ?? i + 1
+        };
+        const groupText = spec && spec.faceTexts ? spec.faceTexts[c.groupIndex] : '';
+        const text = fillTemplate(groupText || faceSetting(kf, 'text'), vars);
+        const image = fillTemplate(faceSetting(kf, 'image'), vars).trim();
+        if (!text && !image) return;
+        // resting aspect ratio, rounded so neighbouring cards share textures
+        const aspect = Math.round((c.w / Math.max(c.h, 0.01)) * 20) / 20;
+        c.face = { text, image, aspect, ...style };
+    });
+}
+
+// Cached image for a face url (ac.faceImages: url -> { img, ready, failed }); starts loading on first use
+function faceImage(ac, url) {
+    let entry = ac.faceImages.get(url);
+    if (!entry) {
+        entry = { img: null, ready: false, failed: false };
+        ac.faceImages.set(url, entry);
+        entry.img = ac.p5.loadImage(url, () => { entry.ready = true; }, () => { entry.failed = true; });
+    }
+    return entry;
+}
+
+// The face drawn onto a 2D graphics, built once per distinct face
+function faceTexture(ac, face) {
+    const faceTextures = ac.faceTextures; // face key -> p5.Graphics
+    const img = face.image ? faceImage(ac, face.image) : null;
+    const key = JSON.stringify(face) + (img && img.ready ? '+img' : '');
+    let tex = faceTextures.get(key);
+    if (tex) {
+        // move to the back of the eviction order
+        faceTextures.delete(key);
+        faceTextures.set(key, tex);
+        return tex;
+    }
+
+    const th = FACE_TEXTURE_HEIGHT;
+    const tw = clamp(Math.round(th * (face.aspect || 0.5)), 16, 4 * th);
+    tex = ac.p5.createGraphics(tw, th);
+    tex.pixelDensity(1);
+    tex.clear();
+
+    if (img && img.ready) {
+        // cover the face, cropping the longer side
+        const s = Math.max(tw / img.img.width, th / img.img.height);
+        const iw = img.img.width * s, ih = img.img.height * s;
+        tex.image(img.img, (tw - iw) / 2, (th - ih) / 2, iw, ih);
+    }
+    if (face.text) {
+        const pad = th * 0.06;
+        tex.fill(face.color);
+        tex.noStroke();
+        tex.textFont(face.font);
+        tex.textSize(Math.max(4, face.size * th));
+        tex.textAlign(
+            { left: tex.LEFT, center: tex.CENTER, right: tex.RIGHT }[face.align] || tex.CENTER,
+            { top: tex.TOP, middle: tex.CENTER, bottom: tex.BOTTOM }[face.valign] || tex.CENTER
+        );
+        tex.text(face.text, pad, pad, tw - 2 * pad, th - 2 * pad);
+    }
+
+    faceTextures.set(key, tex);
+    if (faceTextures.size > FACE_CACHE_SIZE) {
+        const [oldKey, oldTex] = faceTextures.entries().next().value;
+        faceTextures.delete(oldKey);
+        oldTex.remove();
+    }
+    return tex;
+}
+
+// Draw card c's face in its local frame (called from renderScene after the box)
+function drawCardFace(ac, g, c) {
+    if (!c.face || c.w < 0.05 || c.h < 0.05) return;
+    g.push();
+    g.translate(0, 0, Math.max(c.d || 0.5, 0.1) / 2 + 0.01);
+    g.noStroke();
+    g.tint(255, 255 * c.alive);
+    g.texture(faceTexture(ac, c.face));
+    g.plane(c.w, c.h);
+    g.pop();
+}
+
+// -----------------------------------------------------------------------------
+// Panel section
+// -----------------------------------------------------------------------------
+
+function createFaceSection(ed, kf, idx) {
+    const wrap = document.createElement('div');
+    wrap.className = 'face-section';
+
+    const title = document.createElement('div');
+    title.className = 'group-editor-title';
+    title.textContent = 'Card Face';
+    wrap.appendChild(title);
+
+    const changed = () => ed.ac.refreshKeyframe(idx);
+    const set = (key, value) => {
+        kf.face = kf.face || { ...FACE_DEFAULTS };
+        kf.face[key] = value;
+        changed();
+    };
+
+    const ds = kf.data && ed.ac.datasets[kf.data.dataset];
+    const hint = 'Placeholders: {index}, {group}, {key}' + (ds ? ', ' + ds.columns.map(c => `{${c}}`).join(', ') : '');
+
+    const textInput = (key, label, placeholder) => {
+        const inp = document.createElement('input');
+        inp.type = 'text'; inp.value = faceSetting(kf, key); inp.placeholder = placeholder; inp.title = hint;
+        inp.addEventListener('input', () => set(key, inp.value));
+        wrap.appendChild(createInputRow(label, inp));
+    };
+    const choice = (key, label, options) => {
+        const sel = document.createElement('select');
+        options.forEach(v => {
+            const opt = document.createElement('option');
+            opt.value = v; opt.textContent = v; sel.appendChild(opt);
+        });
+        sel.value = faceSetting(kf, key);
+        sel.addEventListener('change', () => set(key, sel.value));
+        wrap.appendChild(createInputRow(label, sel));
+    };
+
+    textInput('text', 'Text', '{index}');
+    textInput('image', 'Image URL', 'https://…/{key}.png');
+    choice('font', 'Font', FACE_FONTS);
+
+    const sizeIn = document.createElement('input');
+    sizeIn.type = 'number'; sizeIn.min = '0.05'; sizeIn.max = '1'; sizeIn.step = '0.05'; sizeIn.value = faceSetting(kf, 'size');
+    sizeIn.title = 'Text height as a fraction of the card height';
+    sizeIn.addEventListener('input', () => set('size', clamp(parseFloat(sizeIn.value) || FACE_DEFAULTS.size, 0.05, 1)));
+    wrap.appendChild(createInputRow('Text Size', sizeIn));
+
+    choice('align', 'Align', FACE_ALIGNS);
+    choice('valign', 'Vertical', FACE_VALIGNS);
+
+    const colorIn = document.createElement('input');
+    colorIn.type = 'color'; colorIn.value = faceSetting(kf, 'color');
+    colorIn.addEventListener('input', () => set('color', colorIn.value));
+    wrap.appendChild(createInputRow('Text Colour', colorIn));
+
+    // per-group templates, re-rendered by the group editor when groups change
+    const groupRows = document.createElement('div');
+    wrap.appendChild(groupRows);
+    wrap.refreshGroups = () => {
+        groupRows.innerHTML = '';
+        const spec = kf.groupSpec;
+        if (kf.layout !== 'stacked-group' || !spec || (kf.data && kf.data.group && ds)) return;
+        ensureGroupSpecArrays(spec);
+        spec.sizes.forEach((_, g) => {
+            const inp = document.createElement('input');
+            inp.type = 'text'; inp.value = spec.faceTexts[g]; inp.placeholder = 'keyframe text'; inp.title = hint;
+            inp.addEventListener('input', () => { spec.faceTexts[g] = inp.value; changed(); });
+            groupRows.appendChild(createInputRow(spec.names[g], inp));
+        });
+    };
+    wrap.refreshGroups();
+    return wrap;
+}
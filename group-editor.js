@@ -0,0 +1,151 @@
+// Animation Cards – Group editor
+// Panel section for a stacked-group keyframe: add / remove / reorder groups, pick colours,
+// name them and size them as a percentage or an absolute card count.
+
+const GROUP_UNITS = ['%', '#'];
+
+// Keep the parallel groupSpec arrays the same length as sizes
+function ensureGroupSpecArrays(spec) {
+    const n = spec.sizes.length;
+    const palette = defaultGroupSpec().strokeColors;
+    spec.strokeColors = spec.strokeColors || [];
+    spec.names = spec.names || [];
+    spec.units = spec.units || [];
+    spec.faceTexts = spec.faceTexts || [];
+    for (let g = 0; g < n; g++) {
+        if (spec.strokeColors[g] === undefined) {
+            // continue the colour cycle the layout used before the group had its own colour
+            spec.strokeColors[g] = spec.strokeColors.length ? spec.strokeColors[g % spec.strokeColors.length] : palette[g % palette.length];
+        }
+        if (spec.names[g] === undefined) spec.names[g] = `Group ${g + 1}`;
+        if (!GROUP_UNITS.includes(spec.units[g])) spec.units[g] = '%';
+        if (typeof spec.faceTexts[g] !== 'string') spec.faceTexts[g] = '';
+    }
+    ['strokeColors', 'names', 'units', 'faceTexts'].forEach(k => { spec[k].length = n; });
+}
+
+// Apply `mapIndex(old) -> new | null` to ac.selectedGroup after a structural edit of keyframe
+// idx; only the group keyframe the next wheel draws from indexes selectedGroup
+function remapSelectedGroup(ac, idx, mapIndex, groupCount) {
+    const wheelKF = findNextKeyframeWithLayout(ac, idx, 'wheel');
+    if (wheelKF < 0 || findPreviousKeyframeWithLayout(ac, wheelKF, 'stacked-group') !== idx) return;
+    const mapped = mapIndex(ac.selectedGroup);
+    ac.selectedGroup = Math.min(Math.max(mapped ?? ac.selectedGroup, 0), Math.max(0, groupCount - 1));
+}
+
+function createGroupEditor(ed, kf, idx) {
+    const { ac } = ed;
+    const wrap = document.createElement('div');
+    wrap.className = 'group-editor';
+
+    const changed = () => {
+        ac.refreshKeyframe(idx);
+        wrap.refreshCounts();
+    };
+    // structural edits (buttons) re-render the editor and don't fire input events, so report them here
+    const restructured = (label) => {
+        changed();
+        render();
+        wrap.parentElement?.querySelector('.face-section')?.refreshGroups();
+        ac.emit('change', { label: `KF${idx + 1} ${label}` });
+    };
+
+    const render = () => {
+        const spec = kf.groupSpec;
+        ensureGroupSpecArrays(spec);
+        wrap.innerHTML = '';
+
+        const title = document.createElement('div');
+        title.className = 'group-editor-title';
+        title.textContent = 'Groups';
+        wrap.appendChild(title);
+
+        spec.sizes.forEach((size, g) => {
+            const row = document.createElement('div');
+            row.className = 'group-row';
+
+            const colorIn = document.createElement('input');
+            colorIn.type = 'color';
+            colorIn.value = spec.strokeColors[g].length === 4 // expand #rgb for the picker
+                ? '#' + spec.strokeColors[g].slice(1).split('').map(ch => ch + ch).join('')
+                : spec.strokeColors[g].slice(0, 7);
+            colorIn.addEventListener('input', () => { spec.strokeColors[g] = colorIn.value; changed(); });
+
+            const nameIn = document.createElement('input');
+            nameIn.type = 'text'; nameIn.className = 'group-name'; nameIn.value = spec.names[g];
+            nameIn.addEventListener('input', () => { spec.names[g] = nameIn.value; changed(); });
+
+            const sizeIn = document.createElement('input');
+            sizeIn.type = 'number'; sizeIn.className = 'group-size'; sizeIn.min = '0'; sizeIn.step = '1'; sizeIn.value = size;
+            sizeIn.addEventListener('input', () => { spec.sizes[g] = Math.max(0, parseFloat(sizeIn.value) || 0); changed(); });
+
+            const unitSel = document.createElement('select');
+            GROUP_UNITS.forEach(u => {
+                const opt = document.createElement('option');
+                opt.value = u; opt.textContent = u; unitSel.appendChild(opt);
+            });
+            unitSel.value = spec.units[g];
+            unitSel.title = '% of the cards, or # absolute count';
+            unitSel.addEventListener('change', () => { spec.units[g] = unitSel.value; changed(); });
+
+            const count = document.createElement('span');
+            count.className = 'group-count';
+
+            const btn = (icon, title, disabled, onClick) => {
+                const b = document.createElement('button');
+                b.className = 'group-btn'; b.title = title; b.disabled = disabled;
+                b.innerHTML = `<i class="fas fa-${icon}"></i>`;
+                b.addEventListener('click', onClick);
+                return b;
+            };
+            const n = spec.sizes.length;
+            const up = btn('arrow-up', 'Move up', g === 0, () => moveGroup(spec, g, g - 1));
+            const down = btn('arrow-down', 'Move down', g === n - 1, () => moveGroup(spec, g, g + 1));
+            const del = btn('times', 'Remove group', n <= 1, () => removeGroup(spec, g));
+
+            [colorIn, nameIn, sizeIn, unitSel, count, up, down, del].forEach(el => row.appendChild(el));
+            wrap.appendChild(row);
+        });
+
+        const add = document.createElement('button');
+        add.className = 'group-add';
+        add.innerHTML = '<i class="fas fa-plus"></i>&nbsp;Add group';
+        add.addEventListener('click', () => addGroup(spec));
+        wrap.appendChild(add);
+
+        wrap.refreshCounts();
+    };
+
+    // resolved card count per group, next to each size input
+    wrap.refreshCounts = () => {
+        const counts = groupCounts(kf.groupSpec, kf.cardCount);
+        wrap.querySelectorAll('.group-count').forEach((el, g) => { el.textContent = `= ${counts[g]}`; });
+    };
+
+    const swapAll = (spec, a, b) => {
+        ['sizes', 'strokeColors', 'names', 'units', 'faceTexts'].forEach(k => { [spec[k][a], spec[k][b]] = [spec[k][b], spec[k][a]]; });
+    };
+    const moveGroup = (spec, from, to) => {
+        swapAll(spec, from, to);
+        remapSelectedGroup(ac, idx, i => (i === from ? to : i === to ? from : i), spec.sizes.length);
+        restructured('move group');
+    };
+    const removeGroup = (spec, g) => {
+        ['sizes', 'strokeColors', 'names', 'units', 'faceTexts'].forEach(k => spec[k].splice(g, 1));
+        remapSelectedGroup(ac, idx, i => (i === g ? null : i > g ? i - 1 : i), spec.sizes.length);
+        restructured('remove group');
+    };
+    const addGroup = (spec) => {
+        const palette = defaultGroupSpec().strokeColors;
+        const g = spec.sizes.length;
+        spec.sizes.push(10);
+        spec.strokeColors.push(palette[g % palette.length]);
+        spec.names.push(`Group ${g + 1}`);
+        spec.units.push('%');
+        spec.faceTexts.push('');
+        restructured('add group');
+    };
+
+    render();
+    return wrap;
+}
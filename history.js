@@ -0,0 +1,200 @@
+// Animation Cards – Edit history
+// Undo / redo for the editor. After every "change" of the instance the editable part of the
+// scene (keyframes, transition settings, selected wheel group, drill path) is snapshotted; undo
+// puts an earlier snapshot back. Rapid edits of the same field (typing, dragging a number spinner)
+// within HISTORY_COALESCE_MS merge into one step.
+//
+//     Ctrl/Cmd + Z          : undo
+//     Ctrl/Cmd + Shift + Z  : redo (Ctrl + Y too)
+//
+// Datasets are not part of the history: they are only ever added, so bindings restored by an
+// undo still find their data.
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+
+function historySnapshot(ac) {
+    const keyframes = ac.keyframes.map(kf => {
+        const copy = { ...kf };
+        TRANSIENT_KEYFRAME_FIELDS.forEach(f => delete copy[f]);
+        return copy;
+    });
+    return JSON.stringify({ keyframes, transitions: ac.transitions, selectedGroup: ac.selectedGroup, drillPath: ac.drillPath });
+}
+
+function createHistory(ac) {
+    return {
+        ac,
+        entries: [{ label: 'Open scene', key: null, kf: null, json: historySnapshot(ac), time: 0 }],
+        index: 0,        // entry the scene currently matches
+        restoring: false
+    };
+}
+
+// Paths (arrays of keys) where two JSON values differ
+function diffPaths(a, b, path = [], out = []) {
+    const bothObjects = a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b);
+    if (!bothObjects || (Array.isArray(a) && a.length !== b.length)) {
+        if (JSON.stringify(a) !== JSON.stringify(b)) out.push(path);
+        return out;
+    }
+    const keys = Array.isArray(a) ? a.map((_, i) => i) : [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    keys.forEach(k => diffPaths(a[k], b[k], [...path, k], out));
+    return out;
+}
+
+const formatPath = (parts) => parts.map(p => (typeof p === 'number' ? `[${p}]` : '.' + p)).join('').replace(/^\./, '');
+
+// { key, label, kf } for the step from snapshot `before` to `after` (parsed)
+function describeChange(before, after) {
+    // choosing another wheel group also leaves the drill path: name the group change
+    let paths = diffPaths(before, after);
+    if (paths.some(p => p[0] === 'selectedGroup')) paths = paths.filter(p => p[0] !== 'drillPath');
+    let prefix = paths[0] || [];
+    paths.forEach(p => {
+        let n = 0;
+        while (n < prefix.length && n < p.length && prefix[n] === p[n]) n++;
+        prefix = prefix.slice(0, n);
+    });
+    const key = JSON.stringify(prefix);
+    const [root, item, ...rest] = prefix;
+    if (root === 'keyframes' && typeof item === 'number') {
+        return { key, label: `KF${item + 1}${rest.length ? ' ' + formatPath(rest) : ''}`, kf: item };
+    }
+    if (root === 'transitions' && item) {
+        const [from, to] = item.split('-').map(Number);
+        return { key, label: `KF${from + 1}→${to + 1}${rest.length ? ' ' + formatPath(rest) : ''}`, kf: null };
+    }
+    if (root === 'selectedGroup') {
+        return { key, label: `Wheel group ${after.selectedGroup + 1}`, kf: null };
+    }
+    if (root === 'drillPath') {
+        return { key: null, label: after.drillPath.length ? `Drill into ${after.drillPath.join(' › ')}` : 'Drill to top', kf: null };
+    }
+    return { key, label: 'Edit scene', kf: null };
+}
+
+// Record the scene after a change. `label` names explicit operations (add keyframe, load…),
+// which never merge with the step before.
+function recordHistory(hist, label) {
+    if (hist.restoring) return false;
+    const json = historySnapshot(hist.ac);
+    const top = hist.entries[hist.index];
+    if (json === top.json) return false;
+
+    const now = performance.now();
+    const change = label
+        ? { key: null, label, kf: null }
+        : describeChange(JSON.parse(top.json), JSON.parse(json));
+    // keep typing in one field together, unless an undo came in between
+    const merge = change.key !== null && top.key === change.key && now - top.time < HISTORY_COALESCE_MS &&
+        hist.index === hist.entries.length - 1;
+    hist.entries.length = hist.index + 1; // a new edit drops the redo branch
+    if (merge) {
+        Object.assign(top, { json, time: now });
+    } else {
+        hist.entries.push({ ...change, json, time: now });
+        if (hist.entries.length > HISTORY_LIMIT) hist.entries.shift();
+        hist.index = hist.entries.length - 1;
+    }
+    return true;
+}
+
+// Put the scene of entry `index` back
+function jumpToHistory(hist, index) {
+    if (index < 0 || index >= hist.entries.length || index === hist.index) return false;
+    const { ac } = hist;
+    const state = JSON.parse(hist.entries[index].json);
+    const countChanged = state.keyframes.length !== ac.keyframes.length;
+    ac.keyframes = state.keyframes;
+    ac.transitions = state.transitions;
+    ac.selectedGroup = state.selectedGroup;
+    ac.drillPath = state.drillPath || [];
+    if (countChanged) {
+        ac.currentKF = ac.targetKF = Math.min(ac.currentKF, ac.keyframes.length - 1);
+        ac.animating = false;
+        ac.queue = [];
+    }
+    hist.index = index;
+    hist.restoring = true;
+    try {
+        ac.refreshKeyframe(ac.currentKF);
+        ac.emit('scene');
+        ac.emit('change');
+    } finally {
+        hist.restoring = false;
+    }
+    return true;
+}
+
+// Undo / redo; the keyframe the step touched, or null
+function undo(hist) {
+    const entry = hist.entries[hist.index];
+    return jumpToHistory(hist, hist.index - 1) ? entry.kf : null;
+}
+
+function redo(hist) {
+    return jumpToHistory(hist, hist.index + 1) ? hist.entries[hist.index].kf : null;
+}
+
+// -----------------------------------------------------------------------------
+// History panel
+// -----------------------------------------------------------------------------
+
+// 'undo' / 'redo' for a keydown that asks for one, else null. Keys count on the page itself,
+// anywhere in the instance (its focusable container, the canvas, the breadcrumbs) and in the
+// side panel; other widgets of an embedding page are left alone.
+function historyKeyAction(ed, e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return null;
+    const target = e.target;
+    if (target !== document.body && !ed.ac.container.contains(target) && !ed.$('sidePanel').contains(target)) return null;
+    return key === 'y' || e.shiftKey ? 'redo' : 'undo';
+}
+
+function setupHistoryPanel(ed) {
+    const { ac, signal } = ed;
+    const hist = ed.history = createHistory(ac);
+
+    // show the keyframe an undo / redo changed
+    const stepped = (kf) => {
+        if (kf !== null && kf < ac.keyframes.length) selectKeyframeTab(ed, kf);
+        updateHistoryUI(ed);
+    };
+    ed.$('undoBtn').addEventListener('click', () => stepped(undo(hist)), { signal });
+    ed.$('redoBtn').addEventListener('click', () => stepped(redo(hist)), { signal });
+
+    window.addEventListener('keydown', (e) => {
+        const action = historyKeyAction(ed, e);
+        if (!action) return;
+        e.preventDefault();
+        stepped(action === 'redo' ? redo(hist) : undo(hist));
+    }, { signal });
+
+    const onChange = (detail) => {
+        if (recordHistory(hist, detail && detail.label)) updateHistoryUI(ed);
+    };
+    ac.on('change', onChange);
+    signal.addEventListener('abort', () => ac.off('change', onChange));
+    updateHistoryUI(ed);
+}
+
+function updateHistoryUI(ed) {
+    const hist = ed.history;
+    const list = ed.$('historyList');
+    list.innerHTML = '';
+    hist.entries.forEach((entry, i) => {
+        const item = document.createElement('li');
+        item.className = i === hist.index ? 'current' : i > hist.index ? 'undone' : '';
+        item.textContent = entry.label;
+        item.title = i > hist.index ? 'Redo up to here' : 'Go back to here';
+        item.addEventListener('click', () => {
+            if (jumpToHistory(hist, i)) updateHistoryUI(ed);
+        });
+        list.appendChild(item);
+    });
+    list.children[hist.index]?.scrollIntoView({ block: 'nearest' });
+    ed.$('undoBtn').disabled = hist.index === 0;
+    ed.$('redoBtn').disabled = hist.index === hist.entries.length - 1;
+}
@@ -0,0 +1,326 @@
+// Animation Cards – Layout registry
+// Every keyframe layout is a registered entry; applyKeyframe() and the side panel only talk to the registry.
+
+/*
+    Adding a layout
+    ---------------
+    Call registerLayout() from any script loaded after this file (and before sketch.js):
+
+        registerLayout('my-layout', {
+            label  : 'My layout',
+            params : [ { key: 'radius', label: 'Radius', type: 'number', default: 40, step: 1 } ],
+            place  : (cards, kf, ctx) => { ... }
+        });
+
+    params  : rendered automatically in the keyframe panel. Values live on the keyframe itself
+              (kf[param.key]) so they are saved with the scene; read them with layoutParam().
+              type is "number" (min / max / step optional), "seed" (a number with a re-roll
+              button) or "select" (options: string[]).
+    place   : positions the freshly created cards (x, y, z, rotX/Y/Z in radians, h, stroke,
+              groupIndex, wheelIndex…). ctx.selectedGroup is the group chosen for the wheel;
+              ctx.fixedHeights is true when card heights come from data and must be kept.
+*/
+
+const LAYOUT_REGISTRY = {};
+
+function registerLayout(name, def) {
+    LAYOUT_REGISTRY[name] = { label: name, params: [], ...def, name };
+}
+
+function getLayout(name) {
+    return LAYOUT_REGISTRY[name] || null;
+}
+
+function layoutNames() {
+    return Object.keys(LAYOUT_REGISTRY);
+}
+
+// Current value of a declared layout parameter, falling back to its default
+function layoutParam(kf, key) {
+    if (kf[key] !== undefined) return kf[key];
+    const param = getLayout(kf.layout)?.params.find(p => p.key === key);
+    return param ? param.default : undefined;
+}
+
+// Deterministic PRNG (mulberry32): the same seed always yields the same sequence in [0,1)
+function seededRandom(seed) {
+    let a = (Math.floor(seed) >>> 0) || 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Split `total` into integers proportional to `weights` (largest remainder method), so the
+// parts always add up to exactly `total`. All-zero weights share the total evenly.
+function apportion(weights, total) {
+    const n = weights.length;
+    if (n === 0) return [];
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const quotas = weights.map(w => (sum > 0 ? (w / sum) * total : total / n));
+    const parts = quotas.map(Math.floor);
+    let left = total - parts.reduce((a, b) => a + b, 0);
+    const order = quotas.map((q, i) => i).sort((a, b) => (quotas[b] - parts[b]) - (quotas[a] - parts[a]) || a - b);
+    for (let k = 0; left > 0; k = (k + 1) % n, left--) parts[order[k]]++;
+    return parts;
+}
+
+// Card count per group of a groupSpec, always summing to exactly cardCount.
+// units[g] is "%" (share of the cards left after fixed counts) or "#" (absolute count).
+function groupCounts(spec, cardCount) {
+    const sizes = spec.sizes.map(v => Math.max(0, v || 0));
+    const isCount = (g) => spec.units && spec.units[g] === '#';
+    const fixed = sizes.map((v, g) => (isCount(g) ? Math.floor(v) : 0));
+    const fixedTotal = fixed.reduce((a, b) => a + b, 0);
+    const pct = sizes.map((v, g) => (isCount(g) ? 0 : v));
+    const pctTotal = pct.reduce((a, b) => a + b, 0);
+
+    if (pctTotal > 0 && fixedTotal <= cardCount) {
+        const shares = apportion(pct, cardCount - fixedTotal);
+        return sizes.map((v, g) => (isCount(g) ? fixed[g] : shares[g]));
+    }
+    // only absolute counts (or they overflow): scale them to fit
+    return apportion(fixedTotal > 0 ? fixed : sizes, cardCount);
+}
+
+// helper to align card bottom on y=0
+function alignBottom(c) {
+    c.y = -c.h / 2;
+}
+
+// -----------------------------------------------------------------------------
+// Built-in layouts
+// -----------------------------------------------------------------------------
+
+registerLayout('stacked-random', {
+    label: 'Stacked (random heights)',
+    params: [
+        { key: 'seed', label: 'Seed', type: 'seed', default: 1, min: 0, step: 1 },
+        { key: 'heightMin', label: 'Height Min ×', type: 'number', default: 0.8, min: 0, step: 0.05 },
+        { key: 'heightMax', label: 'Height Max ×', type: 'number', default: 1.4, min: 0, step: 0.05 }
+    ],
+    place(cards, kf, ctx) {
+        // Seeded heights: card i always gets the same value for a given seed, whatever the card count
+        const rand = seededRandom(layoutParam(kf, 'seed'));
+        const lo = layoutParam(kf, 'heightMin');
+        const hi = layoutParam(kf, 'heightMax');
+        const baseHeight = kf.cardHeight * 0.5;
+
+        const startZ = -(kf.cardCount * kf.cardSpacing) / 2;
+        for (let i = 0; i < cards.length; i++) {
+            cards[i].z = startZ + i * kf.cardSpacing;
+            const h = baseHeight * (lo + rand() * (hi - lo));
+            if (!ctx.fixedHeights) cards[i].h = h;
+            alignBottom(cards[i]);
+        }
+    }
+});
+
+registerLayout('stacked-group', {
+    label: 'Stacked (groups)',
+    params: [
+        { key: 'groupSpacing', label: 'Group Spacing', type: 'number', default: 5, step: 0.1 }
+    ],
+    place(cards, kf, ctx) {
+        const gaps = layoutParam(kf, 'groupSpacing');
+        const grpSizes = groupCounts(kf.groupSpec, kf.cardCount);
+        const usedGroups = grpSizes.filter(n => n > 0).length;
+        const startZ = -(kf.cardCount * kf.cardSpacing + gaps * Math.max(0, usedGroups - 1)) / 2;
+        let zCursor = startZ;
+        let cardIndex = 0;
+        let selCounter = 0;
+        for (let g = 0; g < grpSizes.length; g++) {
+            const strokeCol = kf.groupSpec.strokeColors[g % kf.groupSpec.strokeColors.length];
+            for (let j=0; j<grpSizes[g]; j++) {
+                if(cardIndex>=cards.length) break;
+                const c = cards[cardIndex];
+                c.z = zCursor;
+                c.stroke = strokeCol;
+                c.groupIndex = g;
+                if(g === ctx.selectedGroup){
+                    c.wheelIndex = selCounter++; // sequential order for wheel target
+                }
+                alignBottom(c);
+                zCursor += kf.cardSpacing;
+                cardIndex++;
+            }
+            if (grpSizes[g] > 0) zCursor += gaps;
+        }
+    }
+});
+
+// Radius, rings and angles of a wheel keyframe laid out with n cards. Ring k sits a card width
+// (plus spacing) outside ring k - 1 and takes a share of the cards proportional to its size.
+// Radius 0 fits the wheel: the inner ends of the cards keep cardSpacing between them.
+function wheelGeometry(kf, n) {
+    const sweep = toRadians(clamp(layoutParam(kf, 'wheelSweep'), 0, 360));
+    const ringCount = Math.max(1, Math.round(layoutParam(kf, 'wheelRings')));
+    const gap = kf.cardWidth + kf.cardSpacing;
+    let radius = layoutParam(kf, 'wheelRadius');
+    if (!(radius > 0)) {
+        const inner = n * (kf.cardThickness + kf.cardSpacing) / (Math.max(sweep, 0.01) * ringCount);
+        radius = Math.max(inner + kf.cardWidth / 2 - gap * (ringCount - 1) / 2, kf.cardWidth / 2 + kf.cardSpacing);
+    }
+    const radii = Array.from({ length: ringCount }, (_, k) => radius + k * gap);
+    const counts = apportion(radii, n);
+    return {
+        rings: radii.map((r, k) => ({ radius: r, count: counts[k] })),
+        sweep,
+        start: toRadians(layoutParam(kf, 'wheelStart')),
+        tilt: toRadians(layoutParam(kf, 'wheelTilt'))
+    };
+}
+
+// Tip a point of the wheel plane by the wheel tilt (about X, like p5's rotateX)
+function tiltPoint(p, tilt) {
+    const c = Math.cos(tilt), s = Math.sin(tilt);
+    return { x: p.x, y: p.y * c - p.z * s, z: p.y * s + p.z * c };
+}
+
+registerLayout('wheel', {
+    label: 'Wheel',
+    params: [
+        { key: 'wheelRadius', label: 'Radius (0=auto)', type: 'number', default: 40, min: 0, step: 1 },
+        { key: 'wheelSweep', label: 'Arc Sweep (°)', type: 'number', default: 360, min: 0, max: 360, step: 5 },
+        { key: 'wheelStart', label: 'Start Angle (°)', type: 'number', default: 0, step: 5 },
+        { key: 'wheelTilt', label: 'Tilt (°)', type: 'number', default: 0, min: -90, max: 90, step: 5 },
+        { key: 'wheelRings', label: 'Rings', type: 'number', default: 1, min: 1, step: 1 },
+        { key: 'wheelSpin', label: 'Idle Spin (°/s)', type: 'number', default: 0, step: 1 } // see wheel.js
+    ],
+    place(cards, kf, ctx) {
+        const { rings, sweep, start, tilt } = wheelGeometry(kf, cards.length);
+        let i = 0;
+        rings.forEach(({ radius, count }) => {
+            for (let k = 0; k < count; k++, i++) {
+                const angle = start + ((k + 0.5) / count) * sweep;
+                const c = cards[i];
+                alignBottom(c);
+                Object.assign(c, tiltPoint({ x: Math.cos(angle) * radius, y: c.y, z: Math.sin(angle) * radius }, tilt));
+                // Prevent card flipping: do not add PI
+                c.rotX = tilt;
+                c.rotY = -angle;
+                c.groupIndex = ctx.selectedGroup;
+                c.wheelIndex = i;
+            }
+        });
+    }
+});
+
+// Copies of a wheel keyframe's cards turned `degrees` about the wheel axis (see wheel.js)
+function turnWheel(cards, kf, degrees) {
+    const tilt = toRadians(layoutParam(kf, 'wheelTilt'));
+    const a = toRadians(degrees), cos = Math.cos(a), sin = Math.sin(a);
+    return cards.map(c => {
+        const p = tiltPoint(c, -tilt);
+        const turned = tiltPoint({ x: p.x * cos - p.z * sin, y: p.y, z: p.x * sin + p.z * cos }, tilt);
+        return { ...c, ...turned, rotY: c.rotY - a };
+    });
+}
+
+registerLayout('grid', {
+    label: 'Grid',
+    params: [
+        { key: 'gridColumns', label: 'Columns (0=auto)', type: 'number', default: 0, min: 0, step: 1 },
+        { key: 'gridGap', label: 'Grid Gap', type: 'number', default: 2, min: 0, step: 0.5 },
+        { key: 'gridPlane', label: 'Grid Plane', type: 'select', default: 'wall', options: ['wall', 'floor'] }
+    ],
+    place(cards, kf) {
+        const cols = Math.max(1, Math.round(layoutParam(kf, 'gridColumns')) || Math.ceil(Math.sqrt(cards.length)));
+        const rows = Math.ceil(cards.length / cols);
+        const gap = layoutParam(kf, 'gridGap');
+        const cellW = kf.cardWidth + gap;
+        const cellH = kf.cardHeight + gap;
+        const floor = layoutParam(kf, 'gridPlane') === 'floor';
+        for (let i = 0; i < cards.length; i++) {
+            const c = cards[i];
+            const col = i % cols;
+            const row = Math.floor(i / cols);
+            c.x = (col - (cols - 1) / 2) * cellW;
+            if (floor) {
+                // rows of standing cards receding in depth
+                c.z = (row - (rows - 1) / 2) * Math.max(kf.cardSpacing, gap);
+                alignBottom(c);
+            } else {
+                // a wall of cards, first row at the top
+                c.y = -(rows - row - 0.5) * cellH;
+            }
+        }
+    }
+});
+
+registerLayout('spiral', {
+    label: 'Spiral',
+    params: [
+        { key: 'spiralStartRadius', label: 'Start Radius', type: 'number', default: 10, min: 0, step: 1 },
+        { key: 'spiralGrowth', label: 'Growth / Turn', type: 'number', default: 12, step: 1 },
+        { key: 'spiralStep', label: 'Angle Step (°)', type: 'number', default: 15, step: 1 }
+    ],
+    place(cards, kf) {
+        const r0 = layoutParam(kf, 'spiralStartRadius');
+        const growth = layoutParam(kf, 'spiralGrowth');
+        const step = toRadians(layoutParam(kf, 'spiralStep'));
+        for (let i = 0; i < cards.length; i++) {
+            const c = cards[i];
+            const angle = i * step;
+            const radius = r0 + growth * angle / TAU;
+            c.x = Math.cos(angle) * radius;
+            c.z = Math.sin(angle) * radius;
+            c.rotY = -angle;
+            alignBottom(c);
+        }
+    }
+});
+
+registerLayout('fan', {
+    label: 'Fan / Arc',
+    params: [
+        { key: 'fanSweep', label: 'Arc Sweep (°)', type: 'number', default: 120, min: 0, max: 360, step: 5 },
+        { key: 'fanRadius', label: 'Pivot Radius', type: 'number', default: 10, min: 0, step: 1 },
+        { key: 'fanLayer', label: 'Layer Offset', type: 'number', default: 0.2, step: 0.05 }
+    ],
+    place(cards, kf) {
+        const sweep = toRadians(layoutParam(kf, 'fanSweep'));
+        const pivot = layoutParam(kf, 'fanRadius');
+        const layer = layoutParam(kf, 'fanLayer');
+        const n = cards.length;
+        for (let i = 0; i < n; i++) {
+            const c = cards[i];
+            // angle from vertical, spread evenly across the sweep like a hand of cards
+            const a = n > 1 ? -sweep / 2 + (i / (n - 1)) * sweep : 0;
+            const reach = pivot + c.h / 2;
+            c.x = Math.sin(a) * reach;
+            c.y = -Math.cos(a) * reach + pivot; // the middle card stands on y=0
+            c.z = (i - (n - 1) / 2) * layer;
+            c.rotZ = a;
+        }
+    }
+});
+
+registerLayout('helix', {
+    label: 'Helix',
+    params: [
+        { key: 'helixRadius', label: 'Helix Radius', type: 'number', default: 30, min: 0, step: 1 },
+        { key: 'helixTurns', label: 'Turns', type: 'number', default: 3, min: 0.1, step: 0.5 },
+        { key: 'helixPitch', label: 'Rise / Turn', type: 'number', default: 25, step: 1 }
+    ],
+    place(cards, kf) {
+        const radius = layoutParam(kf, 'helixRadius');
+        const turns = layoutParam(kf, 'helixTurns');
+        const pitch = layoutParam(kf, 'helixPitch');
+        const n = cards.length;
+        const totalRise = pitch * turns;
+        for (let i = 0; i < n; i++) {
+            const c = cards[i];
+            const f = n > 1 ? i / (n - 1) : 0;
+            const angle = f * turns * TAU;
+            c.x = Math.cos(angle) * radius;
+            c.z = Math.sin(angle) * radius;
+            c.rotY = -angle;
+            alignBottom(c);
+            c.y -= f * totalRise - totalRise / 2; // climb upwards, centred on the origin
+        }
+    }
+});
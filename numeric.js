@@ -0,0 +1,11 @@
+// Animation Cards – Numeric helpers
+// The engine runs in p5 instance mode, so p5's global lerp() / constrain() / radians() are not
+// available to the layout and choreography code; these stand in for them.
+
+const TAU = Math.PI * 2;
+
+const lerpNum = (a, b, t) => a + (b - a) * t;
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+const toRadians = (deg) => deg * Math.PI / 180;
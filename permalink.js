@@ -0,0 +1,152 @@
+// Animation Cards – Shareable links
+// The whole scene (serializeScene(), so keyframes, transition settings, selected wheel group and
+// datasets) plus the current keyframe travels in the URL fragment:
+//
+//     #z=<base64url of the deflated JSON>     (browsers with CompressionStream)
+//     #j=<base64url of the JSON>              (fallback, also accepted when reading)
+//
+// setupPermalink() keeps the page URL in step with one instance: every keyframe reached is a
+// new browser history entry, so back / forward step through the keyframes visited in the
+// session. Edits only rewrite the current entry, and stepping back keeps them.
+//
+// Datasets can make a scene too big for a URL; past LINK_MAX_LENGTH no link is made (export the
+// scene as a file instead) and the page URL drops its fragment rather than keep a stale scene.
+
+const LINK_UPDATE_DELAY = 500; // ms after the last edit
+const LINK_MAX_LENGTH = 32 * 1024; // fragment characters; longer URLs get cut off or refused by browsers and chat apps
+
+// -----------------------------------------------------------------------------
+// Encoding
+// -----------------------------------------------------------------------------
+
+function bytesToBase64url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64urlToBytes(text) {
+    const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream / DecompressionStream
+async function pipeBytes(bytes, stream) {
+    const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await out.arrayBuffer());
+}
+
+// Fragment (without "#") for ac's scene, shown at keyframe `keyframe`. Throws when it would be
+// longer than LINK_MAX_LENGTH.
+async function encodeSceneLink(ac, keyframe = ac.currentKF) {
+    const json = JSON.stringify({ scene: serializeScene(ac), keyframe });
+    const bytes = new TextEncoder().encode(json);
+    const fragment = typeof CompressionStream !== 'function'
+        ? 'j=' + bytesToBase64url(bytes)
+        : 'z=' + bytesToBase64url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+    if (fragment.length > LINK_MAX_LENGTH) {
+        const kb = (n) => Math.ceil(n / 1024);
+        const data = Object.keys(ac.datasets).length ? ' (its datasets are part of the link)' : '';
+        throw new Error(`the scene needs a ${kb(fragment.length)} KB link, over the ${kb(LINK_MAX_LENGTH)} KB limit${data}; export it as a file instead`);
+    }
+    return fragment;
+}
+
+// { doc, keyframe } from a fragment (with or without "#"), or null when it holds no scene.
+// Throws when it holds a scene that cannot be read or fails checkScene().
+async function decodeSceneLink(fragment) {
+    const m = /^#?([zj])=([A-Za-z0-9_-]+)$/.exec(fragment || '');
+    if (!m) return null;
+    let bytes = base64urlToBytes(m[2]);
+    if (m[1] === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    const { scene, keyframe = 0 } = JSON.parse(new TextDecoder().decode(bytes));
+    const doc = checkScene(scene);
+    if (!Number.isInteger(keyframe) || keyframe < 0 || keyframe >= doc.keyframes.length) {
+        throw new Error(`keyframe ${keyframe} is not in the scene`);
+    }
+    return { doc, keyframe };
+}
+
+// The scene link in the page URL, or null (a broken one is reported and ignored)
+async function readLocationLink() {
+    try {
+        return await decodeSceneLink(location.hash);
+    } catch (e) {
+        console.warn('Ignoring the scene in the URL:', e);
+        return null;
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Page URL <-> instance
+// -----------------------------------------------------------------------------
+
+// Keep location / browser history in step with ac. Returns a cleanup function.
+function setupPermalink(ac) {
+    const link = { queue: Promise.resolve(), timer: null, failed: false };
+
+    // writes are queued so a slow encode cannot overtake a later one
+    const write = (push) => {
+        const keyframe = ac.currentKF;
+        link.queue = link.queue.then(async () => {
+            let url;
+            try {
+                url = '#' + await encodeSceneLink(ac, keyframe);
+                link.failed = false;
+            } catch (e) {
+                // no link rather than one to an older scene; warn once until it fits again
+                if (!link.failed) console.warn('The page URL no longer links to the scene:', e.message);
+                link.failed = true;
+                url = location.pathname + location.search;
+            }
+            const state = { animationCards: true, keyframe };
+            if (push) history.pushState(state, '', url);
+            else history.replaceState(state, '', url);
+        }).catch(e => console.warn('Could not update the scene link:', e));
+    };
+
+    // reaching a keyframe is a new history entry, unless back / forward brought us there
+    const onKeyframe = ({ index }) => {
+        clearTimeout(link.timer);
+        write(history.state?.keyframe !== index);
+    };
+    const onChange = () => {
+        clearTimeout(link.timer);
+        link.timer = setTimeout(() => write(false), LINK_UPDATE_DELAY);
+    };
+
+    const onPop = async (e) => {
+        clearTimeout(link.timer);
+        if (e.state?.animationCards) {
+            // back / forward: only the keyframe changes, edits made since are kept
+            const index = Math.min(e.state.keyframe, ac.keyframes.length - 1);
+            if (index === ac.currentKF && !ac.animating) write(false);
+            else ac.goTo(index);
+            return;
+        }
+        // a link pasted into the address bar of this page
+        const target = await readLocationLink();
+        if (!target || ac.destroyed) return;
+        ac.load(target.doc);
+        ac.goTo(target.keyframe, { immediate: true });
+    };
+
+    ac.on('keyframe', onKeyframe).on('change', onChange);
+    window.addEventListener('popstate', onPop);
+    write(false); // the URL describes the scene from the start
+
+    const cleanup = () => {
+        clearTimeout(link.timer);
+        ac.off('keyframe', onKeyframe).off('change', onChange).off('destroy', cleanup);
+        window.removeEventListener('popstate', onPop);
+    };
+    ac.on('destroy', cleanup);
+    return cleanup;
+}
+
+// Copy a link to ac's scene to the clipboard; resolves to the link
+async function copySceneLink(ac) {
+    const url = location.href.split('#')[0] + '#' + await encodeSceneLink(ac);
+    await navigator.clipboard.writeText(url);
+    return url;
+}
@@ -0,0 +1,107 @@
+// Animation Cards – Ray-cast picking
+// Casts the pointer ray through the p5 default camera and an instance's renderCamera, then
+// intersects it with every rendered card box (slab test in the card's local frame). The
+// nearest hit wins and is reported through the instance's "hover" / "click" events.
+
+// p5 1.x default camera: eye on +Z at 800 looking at the origin, 1 px = 1 unit at z = 0
+const P5_DEFAULT_EYE_Z = 800;
+
+// Rotations matching p5's rotateX / rotateY / rotateZ (angles in radians)
+function rotateVecX(v, a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    return { x: v.x, y: v.y * c - v.z * s, z: v.y * s + v.z * c };
+}
+function rotateVecY(v, a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    return { x: v.x * c + v.z * s, y: v.y, z: -v.x * s + v.z * c };
+}
+function rotateVecZ(v, a) {
+    const c = Math.cos(a), s = Math.sin(a);
+    return { x: v.x * c - v.y * s, y: v.x * s + v.y * c, z: v.z };
+}
+
+// Undo rotateX(ax) · rotateY(ay) · rotateZ(az), applied outermost first
+function unrotateXYZ(v, ax, ay, az) {
+    return rotateVecZ(rotateVecY(rotateVecX(v, -ax), -ay), -az);
+}
+
+// Pointer ray in world (card layout) space for a view of viewW × viewH pixels through camera cam
+function pointerRay(px, py, viewW, viewH, cam) {
+    const ax = toRadians(cam.rotX), ay = toRadians(cam.rotY), az = toRadians(cam.rotZ);
+    const toWorld = (v) => unrotateXYZ({ x: v.x / cam.zoom, y: v.y / cam.zoom, z: v.z / cam.zoom }, ax, ay, az);
+    const origin = toWorld({ x: 0, y: 0, z: P5_DEFAULT_EYE_Z });
+    return {
+        origin: { x: origin.x + cam.targetX, y: origin.y + cam.targetY, z: origin.z + cam.targetZ },
+        dir: toWorld({ x: px - viewW / 2, y: py - viewH / 2, z: -P5_DEFAULT_EYE_Z })
+    };
+}
+
+// Ray parameter of the entry point into an axis-aligned box centred on the origin, or null
+function rayBoxEntry(o, d, hx, hy, hz) {
+    let tMin = -Infinity, tMax = Infinity;
+    for (const [oc, dc, h] of [[o.x, d.x, hx], [o.y, d.y, hy], [o.z, d.z, hz]]) {
+        if (Math.abs(dc) < 1e-12) {
+            if (oc < -h || oc > h) return null;
+            continue;
+        }
+        let t1 = (-h - oc) / dc, t2 = (h - oc) / dc;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    if (tMax < 0) return null;
+    return Math.max(tMin, 0);
+}
+
+// Nearest visible card of ac under screen point (px, py), using the same geometry as renderScene().
+// Returns { index, card, groupIndex, distance } (index into ac.renderState) or null.
+function pickCard(ac, px, py, viewW = ac.p5.width, viewH = ac.p5.height) {
+    const ray = pointerRay(px, py, viewW, viewH, ac.renderCamera);
+    let best = null;
+    for (let i = 0; i < ac.renderState.length; i++) {
+        const c = ac.renderState[i];
+        if (!c || c.alive < 0.01) continue;
+        if (c.w < 0.05 && c.h < 0.05 && c.d < 0.05) continue;
+        const rel = (v, isPoint) => unrotateXYZ(isPoint
+            ? { x: v.x - c.x, y: v.y - (c.y + cardLiftY(ac, c)), z: v.z - c.z }
+            : v, c.rotX, c.rotY, c.rotZ);
+        const t = rayBoxEntry(rel(ray.origin, true), rel(ray.dir, false),
+            Math.max(c.w, 0.1) / 2, Math.max(c.h, 0.1) / 2, Math.max(c.d || 0.5, 0.1) / 2);
+        if (t !== null && (!best || t < best.distance)) {
+            best = { index: i, card: c, groupIndex: c.groupIndex ?? null, distance: t };
+        }
+    }
+    return best;
+}
+
+function pointerOverCanvas(ac) {
+    const p = ac.p5;
+    return p.mouseX >= 0 && p.mouseY >= 0 && p.mouseX < p.width && p.mouseY < p.height;
+}
+
+// Card under the pointer while idle, else null
+function pickUnderPointer(ac) {
+    return (!ac.animating && pointerOverCanvas(ac)) ? pickCard(ac, ac.p5.mouseX, ac.p5.mouseY) : null;
+}
+
+// Refresh hoveredCard / hoveredGroup (called every frame from drawFrame). Cards are only picked while idle.
+function updateHover(ac) {
+    const pick = pickUnderPointer(ac);
+    const index = pick ? pick.index : null;
+    ac.hoveredGroup = pick ? pick.groupIndex : null;
+    if (index !== ac.hoveredCard) {
+        ac.hoveredCard = index;
+        ac.emit('hover', pick);
+    }
+}
+
+// Record the card under a click; returns the pick (or null). Unlike hover this also picks
+// cards in motion, so a transition can be interrupted by clicking.
+function registerClick(ac) {
+    const pick = pointerOverCanvas(ac) ? pickCard(ac, ac.p5.mouseX, ac.p5.mouseY) : null;
+    ac.clickedCard = pick ? pick.index : null;
+    ac.clickedGroup = pick ? pick.groupIndex : null;
+    ac.emit('click', pick);
+    return pick;
+}
@@ -0,0 +1,185 @@
+// Animation Cards – Batched card rendering
+// Draws every card box in a handful of WebGL calls instead of a push / box() / pop per card.
+// Each frame the eight corners of every visible card are written into one reused vertex
+// buffer (plus one stroke colour per card); black faces and coloured edges are then drawn
+// from that buffer with static index lists. Uses the matrices p5 1.9 keeps on its WEBGL
+// renderer (uMVMatrix / uPMatrix) and resets the bits of GL state p5 caches; renderScene()
+// falls back to box() when those internals are missing.
+
+// cards per draw call, so indices fit in 16 bits (8 corners per card)
+const BATCH_CHUNK = 8000;
+
+const BATCH_VERT = `
+attribute vec3 aPosition;
+attribute vec4 aColor;
+uniform mat4 uModelView;
+uniform mat4 uProjection;
+uniform vec4 uFill;
+uniform float uUseFill;
+varying vec4 vColor;
+void main() {
+    gl_Position = uProjection * uModelView * vec4(aPosition, 1.0);
+    vColor = mix(aColor, uFill, uUseFill);
+}`;
+const BATCH_FRAG = `
+precision mediump float;
+varying vec4 vColor;
+void main() {
+    gl_FragColor = vec4(vColor.rgb * vColor.a, vColor.a); // p5 blends premultiplied colours
+}`;
+
+// corner k of a unit box: bit 0 = x, bit 1 = y, bit 2 = z
+const BOX_FACES = [0, 1, 3, 0, 3, 2, 4, 6, 7, 4, 7, 5, 0, 4, 5, 0, 5, 1, 2, 3, 7, 2, 7, 6, 0, 2, 6, 0, 6, 4, 1, 5, 7, 1, 7, 3];
+const BOX_EDGES = [0, 1, 2, 3, 4, 5, 6, 7, 0, 2, 1, 3, 4, 6, 5, 7, 0, 4, 1, 5, 2, 6, 3, 7];
+
+const batchStates = new WeakMap(); // WebGL context -> { program, buffers, capacity, ... }
+
+function batchAvailable(g) {
+    const r = g._renderer;
+    return !!(r && r.GL && r.uMVMatrix && r.uPMatrix && r.registerEnabled && r._applyColorBlend);
+}
+
+function compileBatchProgram(gl) {
+    const shader = (type, src) => {
+        const s = gl.createShader(type);
+        gl.shaderSource(s, src);
+        gl.compileShader(s);
+        if (!gl.getShaderParameter(s, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(s));
+        return s;
+    };
+    const program = gl.createProgram();
+    gl.attachShader(program, shader(gl.VERTEX_SHADER, BATCH_VERT));
+    gl.attachShader(program, shader(gl.FRAGMENT_SHADER, BATCH_FRAG));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+    return program;
+}
+
+function indexList(pattern, cards) {
+    const out = new Uint16Array(pattern.length * cards);
+    for (let c = 0; c < cards; c++) {
+        for (let k = 0; k < pattern.length; k++) out[c * pattern.length + k] = c * 8 + pattern[k];
+    }
+    return out;
+}
+
+function batchState(gl) {
+    let st = batchStates.get(gl);
+    if (st) return st;
+    const program = compileBatchProgram(gl);
+    st = {
+        program,
+        aPosition: gl.getAttribLocation(program, 'aPosition'),
+        aColor: gl.getAttribLocation(program, 'aColor'),
+        uModelView: gl.getUniformLocation(program, 'uModelView'),
+        uProjection: gl.getUniformLocation(program, 'uProjection'),
+        uFill: gl.getUniformLocation(program, 'uFill'),
+        uUseFill: gl.getUniformLocation(program, 'uUseFill'),
+        positionBuffer: gl.createBuffer(),
+        colorBuffer: gl.createBuffer(),
+        faceIndex: gl.createBuffer(),
+        edgeIndex: gl.createBuffer(),
+        capacity: 0,
+        positions: null,
+        colors: null
+    };
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, st.faceIndex);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexList(BOX_FACES, BATCH_CHUNK), gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, st.edgeIndex);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indexList(BOX_EDGES, BATCH_CHUNK), gl.STATIC_DRAW);
+    batchStates.set(gl, st);
+    return st;
+}
+
+// Grow the CPU-side arrays (never shrink, so steady scenes allocate nothing)
+function ensureBatchCapacity(st, count) {
+    if (count <= st.capacity) return;
+    st.capacity = Math.max(count, Math.ceil(st.capacity * 1.5), 256);
+    st.positions = new Float32Array(st.capacity * 8 * 3);
+    st.colors = new Uint8Array(st.capacity * 8 * 4);
+}
+
+// Write the corners / colour of card c into slot n
+function writeCardCorners(st, n, c, liftY) {
+    const hx = Math.max(c.w, 0.1) / 2, hy = Math.max(c.h, 0.1) / 2, hz = Math.max(c.d || 0.5, 0.1) / 2;
+    // R = Rx(rotX) · Ry(rotY) · Rz(rotZ), as rotateX / rotateY / rotateZ compose in renderScene
+    const ca = Math.cos(c.rotX), sa = Math.sin(c.rotX);
+    const cb = Math.cos(c.rotY), sb = Math.sin(c.rotY);
+    const cc = Math.cos(c.rotZ), sc = Math.sin(c.rotZ);
+    const m00 = cb * cc, m01 = -cb * sc, m02 = sb;
+    const m10 = ca * sc + sa * sb * cc, m11 = ca * cc - sa * sb * sc, m12 = -sa * cb;
+    const m20 = sa * sc - ca * sb * cc, m21 = sa * cc + ca * sb * sc, m22 = ca * cb;
+    const tx = c.x, ty = c.y + liftY, tz = c.z;
+
+    const p = st.positions;
+    let o = n * 24;
+    for (let k = 0; k < 8; k++) {
+        const lx = k & 1 ? hx : -hx, ly = k & 2 ? hy : -hy, lz = k & 4 ? hz : -hz;
+        p[o++] = tx + m00 * lx + m01 * ly + m02 * lz;
+        p[o++] = ty + m10 * lx + m11 * ly + m12 * lz;
+        p[o++] = tz + m20 * lx + m21 * ly + m22 * lz;
+    }
+
+    const rgba = parseColor(c.stroke);
+    const a = Math.round(rgba[3] * clamp(c.alive, 0, 1));
+    const col = st.colors;
+    let q = n * 32;
+    for (let k = 0; k < 8; k++) {
+        col[q++] = rgba[0]; col[q++] = rgba[1]; col[q++] = rgba[2]; col[q++] = a;
+    }
+}
+
+// Draw the visible cards of `list` into p5 WEBGL target g with its current transform.
+// liftOf(c) gives the extra Y offset of a card. Returns the number of cards drawn.
+function drawCardsBatched(g, list, liftOf) {
+    const r = g._renderer;
+    const gl = r.GL;
+    const st = batchState(gl);
+    ensureBatchCapacity(st, list.length);
+
+    let n = 0;
+    for (const c of list) {
+        if (c.alive < 0.01) continue;
+        if (c.w < 0.05 && c.h < 0.05 && c.d < 0.05) continue;
+        writeCardCorners(st, n++, c, liftOf(c));
+    }
+    if (n === 0) return 0;
+
+    r._applyColorBlend([0, 0, 0, 0]); // fading edges need blending, and p5 tracks whether it is on
+    gl.useProgram(st.program);
+    gl.uniformMatrix4fv(st.uModelView, false, r.uMVMatrix.mat4);
+    gl.uniformMatrix4fv(st.uProjection, false, r.uPMatrix.mat4);
+    gl.uniform4f(st.uFill, 0, 0, 0, 1);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, st.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, st.positions.subarray(0, n * 24), gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, st.colorBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, st.colors.subarray(0, n * 32), gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(st.aPosition);
+    gl.enableVertexAttribArray(st.aColor);
+
+    for (let first = 0; first < n; first += BATCH_CHUNK) {
+        const count = Math.min(BATCH_CHUNK, n - first);
+        gl.bindBuffer(gl.ARRAY_BUFFER, st.positionBuffer);
+        gl.vertexAttribPointer(st.aPosition, 3, gl.FLOAT, false, 0, first * 8 * 3 * 4);
+        gl.bindBuffer(gl.ARRAY_BUFFER, st.colorBuffer);
+        gl.vertexAttribPointer(st.aColor, 4, gl.UNSIGNED_BYTE, true, 0, first * 8 * 4);
+
+        // opaque black faces, pushed back a little so the edges on top of them win the depth test
+        gl.uniform1f(st.uUseFill, 1);
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(1, 1);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, st.faceIndex);
+        gl.drawElements(gl.TRIANGLES, count * BOX_FACES.length, gl.UNSIGNED_SHORT, 0);
+        gl.disable(gl.POLYGON_OFFSET_FILL);
+
+        gl.uniform1f(st.uUseFill, 0);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, st.edgeIndex);
+        gl.drawElements(gl.LINES, count * BOX_EDGES.length, gl.UNSIGNED_SHORT, 0);
+    }
+
+    // leave the GL state the way p5 thinks it is: its next draw must re-select its own program
+    [st.aPosition, st.aColor].forEach(loc => { if (!r.registerEnabled.has(loc)) gl.disableVertexAttribArray(loc); });
+    r._curShader = undefined;
+    return n;
+}
@@ -0,0 +1,78 @@
+// Animation Cards – Rotation interpolation
+// Orientations are stored as Euler angles applied like p5's rotateX(a) · rotateY(b) · rotateZ(c).
+// Interpolating those numbers directly spins the long way round (350° -> -10°) and wobbles
+// when several axes change at once, so orientations are slerped as quaternions instead.
+// Quaternions are [w, x, y, z]; angles are in radians.
+
+function quatAxisAngle(ax, ay, az, angle) {
+    const s = Math.sin(angle / 2);
+    return [Math.cos(angle / 2), ax * s, ay * s, az * s];
+}
+
+// Hamilton product: rotating by b, then by a (same order as matrix a · b)
+function quatMultiply(a, b) {
+    return [
+        a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+        a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+        a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+        a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0]
+    ];
+}
+
+function quatFromEuler(rx, ry, rz) {
+    return quatMultiply(quatMultiply(quatAxisAngle(1, 0, 0, rx), quatAxisAngle(0, 1, 0, ry)), quatAxisAngle(0, 0, 1, rz));
+}
+
+// Inverse of quatFromEuler, read off the rotation matrix Rx · Ry · Rz
+function eulerFromQuat(q) {
+    const [w, x, y, z] = q;
+    const m00 = 1 - 2 * (y * y + z * z), m01 = 2 * (x * y - w * z), m02 = 2 * (x * z + w * y);
+    const m11 = 1 - 2 * (x * x + z * z), m12 = 2 * (y * z - w * x);
+    const m21 = 2 * (y * z + w * x), m22 = 1 - 2 * (x * x + y * y);
+    const ry = Math.asin(Math.max(-1, Math.min(1, m02)));
+    if (Math.abs(m02) > 0.999999999) {
+        // gimbal lock: X and Z turn about the same axis, put it all on X
+        return { rotX: Math.atan2(m21, m11), rotY: ry, rotZ: 0 };
+    }
+    return { rotX: Math.atan2(-m12, m22), rotY: ry, rotZ: Math.atan2(-m01, m00) };
+}
+
+// Spherical interpolation along the shorter arc
+function quatSlerp(a, b, t) {
+    let dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+    if (dot < 0) { b = b.map(v => -v); dot = -dot; }
+    if (dot > 0.9995) {
+        // nearly identical: normalised lerp avoids dividing by sin(~0)
+        const q = a.map((v, i) => v + (b[i] - v) * t);
+        const len = Math.hypot(...q);
+        return q.map(v => v / len);
+    }
+    const theta = Math.acos(dot);
+    const sa = Math.sin((1 - t) * theta) / Math.sin(theta);
+    const sb = Math.sin(t * theta) / Math.sin(theta);
+    return a.map((v, i) => v * sa + b[i] * sb);
+}
+
+// Orientation between `from` and `to` ({ rotX, rotY, rotZ } in radians) at t, taking the
+// shortest arc plus `turns` extra full turns about the local Y axis (sign = direction). t outside
+// 0 … 1 (back / elastic easings, springs) carries on along the same arc, past the ends.
+function slerpRotation(from, to, t, turns = 0) {
+    const same = from.rotX === to.rotX && from.rotY === to.rotY && from.rotZ === to.rotZ;
+    if (same && !turns) return { rotX: from.rotX, rotY: from.rotY, rotZ: from.rotZ };
+    if (t === 0) return { rotX: from.rotX, rotY: from.rotY, rotZ: from.rotZ };
+    if (t === 1) return { rotX: to.rotX, rotY: to.rotY, rotZ: to.rotZ };
+    let q = same
+        ? quatFromEuler(from.rotX, from.rotY, from.rotZ)
+        : quatSlerp(quatFromEuler(from.rotX, from.rotY, from.rotZ), quatFromEuler(to.rotX, to.rotY, to.rotZ), t);
+    if (turns) q = quatMultiply(q, quatAxisAngle(0, 1, 0, turns * 2 * Math.PI * t));
+    return eulerFromQuat(q);
+}
+
+// Same for camera angles, which are kept in degrees
+function slerpRotationDeg(from, to, t, turns = 0) {
+    const rad = (o) => ({ rotX: o.rotX * Math.PI / 180, rotY: o.rotY * Math.PI / 180, rotZ: o.rotZ * Math.PI / 180 });
+    const r = slerpRotation(rad(from), rad(to), t, turns);
+    if (t === 0) return { rotX: from.rotX, rotY: from.rotY, rotZ: from.rotZ };
+    if (t === 1) return { rotX: to.rotX, rotY: to.rotY, rotZ: to.rotZ };
+    return { rotX: r.rotX * 180 / Math.PI, rotY: r.rotY * 180 / Math.PI, rotZ: r.rotZ * 180 / Math.PI };
+}
@@ -0,0 +1,373 @@
+// Animation Cards – Scene persistence
+// Export / import of an instance's scene as versioned JSON, plus localStorage autosave for the
+// editor page.
+
+/*
+    Scene document
+    --------------
+        format                : "animationcards-scene"
+        version               : int (SCENE_VERSION)
+        keyframes             : keyframe[]  (see state model in sketch.js)
+        transitions           : { "<from>-<to>": partial TRANSITION_DEFAULTS }   (v2+)
+        transitionDurations   : { "<from>-<to>": ms }                           (v1 only)
+        selectedGroupForWheel : int
+        drillPath             : string[]   sub-groups drilled into on a nested-data wheel (optional)
+        datasets              : { name: { columns: string[], rows: object[] } }   (optional)
+
+    Older documents are upgraded step by step through SCENE_MIGRATIONS before validation.
+*/
+
+const SCENE_FORMAT = 'animationcards-scene';
+const SCENE_VERSION = 2;
+const AUTOSAVE_KEY = 'animationcards.scene';
+const AUTOSAVE_DELAY = 500; // ms after the last edit
+
+// version -> function upgrading a document of that version to version + 1
+const SCENE_MIGRATIONS = {
+    // v2: per-transition settings objects replace plain durations
+    1: (doc) => {
+        const { transitionDurations = {}, ...rest } = doc;
+        const converted = {};
+        for (const [key, ms] of Object.entries(transitionDurations)) converted[key] = { duration: ms };
+        return { ...rest, version: 2, transitions: converted };
+    }
+};
+
+// Derived caches that are never written to disk (randomHeights predates seeded heights)
+const TRANSIENT_KEYFRAME_FIELDS = ['randomHeights'];
+
+function serializeScene(ac) {
+    const kfs = ac.keyframes.map(kf => {
+        const copy = JSON.parse(JSON.stringify(kf));
+        TRANSIENT_KEYFRAME_FIELDS.forEach(f => delete copy[f]);
+        return copy;
+    });
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        keyframes: kfs,
+        transitions: JSON.parse(JSON.stringify(ac.transitions)),
+        selectedGroupForWheel: ac.selectedGroup,
+        drillPath: [...ac.drillPath],
+        datasets: JSON.parse(JSON.stringify(ac.datasets))
+    };
+}
+
+// -----------------------------------------------------------------------------
+// Validation
+// -----------------------------------------------------------------------------
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// Returns a list of human readable problems; empty when the document is usable
+function validateScene(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return ['scene must be a JSON object'];
+    }
+    if (doc.format !== SCENE_FORMAT) errors.push(`format must be "${SCENE_FORMAT}"`);
+
+    if (!Array.isArray(doc.keyframes) || doc.keyframes.length === 0) {
+        errors.push('keyframes must be a non-empty array');
+    } else {
+        doc.keyframes.forEach((kf, i) => validateKeyframe(kf, `keyframes[${i}]`, errors, doc.datasets || {}));
+    }
+
+    const trs = doc.transitions;
+    if (trs !== undefined) {
+        if (!trs || typeof trs !== 'object' || Array.isArray(trs)) {
+            errors.push('transitions must be an object');
+        } else {
+            const count = Array.isArray(doc.keyframes) ? doc.keyframes.length : 0;
+            for (const [key, tr] of Object.entries(trs)) {
+                const m = /^(\d+)-(\d+)$/.exec(key);
+                if (!m) { errors.push(`transitions key "${key}" must look like "<from>-<to>"`); continue; }
+                if (+m[1] >= count || +m[2] >= count) errors.push(`transitions["${key}"] refers to a missing keyframe`);
+                validateTransition(tr, `transitions["${key}"]`, errors);
+            }
+        }
+    }
+
+    if (doc.datasets !== undefined) {
+        if (!doc.datasets || typeof doc.datasets !== 'object' || Array.isArray(doc.datasets)) {
+            errors.push('datasets must be an object');
+        } else {
+            for (const [name, ds] of Object.entries(doc.datasets)) {
+                if (!ds || !Array.isArray(ds.columns) || !ds.columns.every(c => typeof c === 'string')) {
+                    errors.push(`datasets["${name}"].columns must be an array of column names`);
+                }
+                if (!ds || !Array.isArray(ds.rows) || !ds.rows.every(r => r && typeof r === 'object' && !Array.isArray(r))) {
+                    errors.push(`datasets["${name}"].rows must be an array of objects`);
+                }
+            }
+        }
+    }
+
+    const sel = doc.selectedGroupForWheel;
+    if (sel !== undefined && !(Number.isInteger(sel) && sel >= 0)) {
+        errors.push('selectedGroupForWheel must be a non-negative integer');
+    } else if (sel !== undefined && !errors.length) {
+        // checked last: counting the groups needs valid keyframes and datasets
+        const groups = wheelGroupCount(doc);
+        if (groups !== null && sel >= groups) {
+            errors.push(`selectedGroupForWheel ${sel} is not one of the ${groups} groups the wheel draws from`);
+        }
+    }
+    const drill = doc.drillPath;
+    if (drill !== undefined && !(Array.isArray(drill) && drill.every(name => typeof name === 'string'))) {
+        errors.push('drillPath must be an array of sub-group names');
+    }
+    return errors;
+}
+
+// Most groups of any stacked-group keyframe a wheel draws from (data-bound ones as their dataset
+// resolves them), or null when no wheel draws from one
+function wheelGroupCount(doc) {
+    let most = null;
+    doc.keyframes.forEach((kf, i) => {
+        if (kf.layout !== 'wheel') return;
+        const g = findPreviousKeyframeWithLayout(doc, i, 'stacked-group');
+        if (g < 0) return;
+        const groupKF = resolveKeyframe(doc.keyframes[g], resolveData(doc.keyframes[g], doc.datasets || {}));
+        most = Math.max(most ?? 0, groupKF.groupSpec.sizes.length);
+    });
+    return most;
+}
+
+function validateTransition(tr, path, errors) {
+    if (!tr || typeof tr !== 'object' || Array.isArray(tr)) { errors.push(`${path} must be an object`); return; }
+    if (tr.duration !== undefined && !(isNum(tr.duration) && tr.duration > 0)) {
+        errors.push(`${path}.duration must be a positive number of ms`);
+    }
+    if (tr.easing !== undefined && !easingNames().includes(tr.easing)) {
+        errors.push(`${path}.easing "${tr.easing}" is not a known easing`);
+    }
+    if (tr.steps !== undefined && !(Number.isInteger(tr.steps) && tr.steps >= 1)) {
+        errors.push(`${path}.steps must be a positive integer`);
+    }
+    if (tr.bezier !== undefined && !(Array.isArray(tr.bezier) && tr.bezier.length === 4 && tr.bezier.every(isNum))) {
+        errors.push(`${path}.bezier must be four numbers [x1, y1, x2, y2]`);
+    }
+    ['spawnStart', 'spawnWindow', 'collapseWindow', 'colorBlendStart', 'colorBlendEnd', 'moveStagger'].forEach(f => {
+        if (tr[f] !== undefined && !(isNum(tr[f]) && tr[f] >= 0 && tr[f] <= 1)) {
+            errors.push(`${path}.${f} must be a number between 0 and 1`);
+        }
+    });
+    ['cameraSpin', 'cardSpin'].forEach(f => {
+        if (tr[f] !== undefined && !Number.isInteger(tr[f])) errors.push(`${path}.${f} must be a whole number of turns`);
+    });
+    if (tr.mode !== undefined && tr.mode !== 'tween' && tr.mode !== 'spring') {
+        errors.push(`${path}.mode must be "tween" or "spring"`);
+    }
+    ['stiffness', 'mass'].forEach(f => {
+        if (tr[f] !== undefined && !(isNum(tr[f]) && tr[f] > 0)) errors.push(`${path}.${f} must be a positive number`);
+    });
+    ['damping', 'springStagger'].forEach(f => {
+        if (tr[f] !== undefined && !(isNum(tr[f]) && tr[f] >= 0)) errors.push(`${path}.${f} must be a non-negative number`);
+    });
+    [['match', CARD_MATCHERS], ['spawnOrigin', SPAWN_ORIGINS], ['stagger', STAGGER_ORDERS], ['collapse', COLLAPSE_STYLES]].forEach(([f, table]) => {
+        if (tr[f] !== undefined && !Object.hasOwn(table, tr[f])) {
+            errors.push(`${path}.${f} must be one of ${Object.keys(table).join(', ')}`);
+        }
+    });
+}
+
+function validateKeyframe(kf, path, errors, docDatasets) {
+    if (!kf || typeof kf !== 'object') { errors.push(`${path} must be an object`); return; }
+
+    const layout = getLayout(kf.layout);
+    if (!layout) {
+        errors.push(`${path}.layout "${kf.layout}" is not one of ${layoutNames().join(', ')}`);
+    } else {
+        layout.params.forEach(param => {
+            const v = kf[param.key];
+            if (v === undefined) return; // default applies
+            if (param.type === 'select' ? !param.options.includes(v) : !isNum(v)) {
+                errors.push(`${path}.${param.key} is not a valid value for the ${kf.layout} layout`);
+            }
+        });
+    }
+    if (!Number.isInteger(kf.cardCount) || kf.cardCount < 1) {
+        errors.push(`${path}.cardCount must be a positive integer`);
+    }
+    ['cardWidth', 'cardHeight', 'cardSpacing', 'cardThickness'].forEach(f => {
+        if (!isNum(kf[f])) errors.push(`${path}.${f} must be a number`);
+    });
+
+    if (!kf.camera || typeof kf.camera !== 'object') {
+        errors.push(`${path}.camera is missing`);
+    } else {
+        CAMERA_FIELDS.forEach(f => {
+            const optional = f.startsWith('target');
+            if (kf.camera[f] === undefined) { if (!optional) errors.push(`${path}.camera.${f} is missing`); }
+            else if (!isNum(kf.camera[f])) errors.push(`${path}.camera.${f} must be a number`);
+        });
+    }
+
+    if (kf.data !== undefined) {
+        const ds = kf.data && docDatasets[kf.data.dataset];
+        if (!ds) {
+            errors.push(`${path}.data.dataset "${kf.data && kf.data.dataset}" is not in datasets`);
+        } else {
+            DATA_TARGETS.forEach(t => {
+                const col = kf.data[t.key];
+                if (col !== undefined && !(Array.isArray(ds.columns) && ds.columns.includes(col))) {
+                    errors.push(`${path}.data.${t.key} column "${col}" is not in dataset "${kf.data.dataset}"`);
+                }
+            });
+            const drill = kf.data.drill;
+            if (drill !== undefined && !(Array.isArray(drill) && drill.every(col => Array.isArray(ds.columns) && ds.columns.includes(col)))) {
+                errors.push(`${path}.data.drill must list columns of dataset "${kf.data.dataset}"`);
+            }
+        }
+    }
+
+    const face = kf.face;
+    if (face !== undefined) {
+        if (!face || typeof face !== 'object' || Array.isArray(face)) {
+            errors.push(`${path}.face must be an object`);
+        } else {
+            ['text', 'image', 'font'].forEach(f => {
+                if (face[f] !== undefined && typeof face[f] !== 'string') errors.push(`${path}.face.${f} must be a string`);
+            });
+            if (face.size !== undefined && !(isNum(face.size) && face.size > 0)) errors.push(`${path}.face.size must be a positive number`);
+            if (face.align !== undefined && !FACE_ALIGNS.includes(face.align)) errors.push(`${path}.face.align must be one of ${FACE_ALIGNS.join(', ')}`);
+            if (face.valign !== undefined && !FACE_VALIGNS.includes(face.valign)) errors.push(`${path}.face.valign must be one of ${FACE_VALIGNS.join(', ')}`);
+            if (face.color !== undefined && !isColor(face.color)) errors.push(`${path}.face.color "${face.color}" is not a hex colour`);
+        }
+    }
+
+    const spec = kf.groupSpec;
+    if (spec == null) {
+        if (kf.layout === 'stacked-group') errors.push(`${path}.groupSpec is required for the stacked-group layout`);
+    } else if (typeof spec !== 'object') {
+        errors.push(`${path}.groupSpec must be an object or null`);
+    } else {
+        if (!Array.isArray(spec.sizes) || spec.sizes.length === 0) {
+            errors.push(`${path}.groupSpec.sizes must be a non-empty array`);
+        } else if (!spec.sizes.every(v => isNum(v) && v >= 0)) {
+            errors.push(`${path}.groupSpec.sizes must only contain non-negative numbers`);
+        }
+        if (!Array.isArray(spec.strokeColors) || spec.strokeColors.length === 0) {
+            errors.push(`${path}.groupSpec.strokeColors must be a non-empty array`);
+        } else {
+            spec.strokeColors.forEach((c, g) => {
+                if (!isColor(c)) errors.push(`${path}.groupSpec.strokeColors[${g}] "${c}" is not a hex colour`);
+            });
+        }
+        if (spec.names !== undefined && !(Array.isArray(spec.names) && spec.names.every(n => typeof n === 'string'))) {
+            errors.push(`${path}.groupSpec.names must be an array of strings`);
+        }
+        if (spec.units !== undefined && !(Array.isArray(spec.units) && spec.units.every(u => u === '%' || u === '#'))) {
+            errors.push(`${path}.groupSpec.units must only contain "%" or "#"`);
+        }
+        if (spec.faceTexts !== undefined && !(Array.isArray(spec.faceTexts) && spec.faceTexts.every(t => typeof t === 'string'))) {
+            errors.push(`${path}.groupSpec.faceTexts must be an array of strings`);
+        }
+    }
+}
+
+// Parses, upgrades and validates a scene. Throws an Error listing every problem found.
+function parseScene(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`not valid JSON (${e.message})`);
+    }
+    return checkScene(doc);
+}
+
+// Upgrades and validates a scene document; migrations return new objects, doc is left alone
+function checkScene(doc) {
+    if (doc && typeof doc === 'object' && doc.format === SCENE_FORMAT) {
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            throw new Error('version must be a positive integer');
+        }
+        if (doc.version > SCENE_VERSION) {
+            throw new Error(`scene version ${doc.version} is newer than this editor supports (${SCENE_VERSION})`);
+        }
+        while (doc.version < SCENE_VERSION) {
+            doc = SCENE_MIGRATIONS[doc.version](doc);
+        }
+    }
+    const errors = validateScene(doc);
+    if (errors.length) throw new Error(errors.join('\n'));
+    return doc;
+}
+
+// Replace an instance's scene with a copy of a checked document. Callers lay out the cards afterwards.
+function loadScene(ac, doc) {
+    ac.keyframes = JSON.parse(JSON.stringify(doc.keyframes));
+    ac.transitions = JSON.parse(JSON.stringify(doc.transitions || {}));
+    ac.selectedGroup = doc.selectedGroupForWheel ?? 0;
+    ac.drillPath = [...(doc.drillPath || [])];
+    ac.datasets = JSON.parse(JSON.stringify(doc.datasets || {}));
+    ac.currentKF = ac.targetKF = 0;
+    ac.animating = false;
+}
+
+// -----------------------------------------------------------------------------
+// File export / import
+// -----------------------------------------------------------------------------
+
+function exportSceneFile(ac) {
+    const json = JSON.stringify(serializeScene(ac), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'animation-scene.json';
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function importSceneFile(ac, file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let doc;
+        try {
+            doc = parseScene(reader.result);
+        } catch (e) {
+            alert(`Could not import "${file.name}":\n\n${e.message}`);
+            return;
+        }
+        ac.load(doc); // editors rebuild on the "scene" event
+    };
+    reader.readAsText(file);
+}
+
+// -----------------------------------------------------------------------------
+// Autosave
+// -----------------------------------------------------------------------------
+
+let autosaveTimer = null;
+
+function scheduleAutosave(ac) {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => saveToLocalStorage(ac), AUTOSAVE_DELAY);
+}
+
+function saveToLocalStorage(ac) {
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeScene(ac)));
+    } catch (e) {
+        console.warn('Autosave failed:', e);
+    }
+}
+
+// The autosaved scene document if there is a valid one, else null
+function loadAutosave() {
+    let text = null;
+    try {
+        text = localStorage.getItem(AUTOSAVE_KEY);
+    } catch (e) {
+        return null; // storage disabled
+    }
+    if (!text) return null;
+    try {
+        return parseScene(text);
+    } catch (e) {
+        console.warn('Ignoring invalid autosaved scene:\n' + e.message);
+        return null;
+    }
+}
@@ -4,260 +4,358 @@
 /*
     State model
     -------------
-    We support 3 keyframes (KF1, KF2, KF3) each with its own configuration:
-        layout         : "stacked-random" | "stacked-group" | "wheel"
+    Every AnimationCards instance (animation-cards.js) holds its own scene and playback state;
+    the functions below take that instance as their first argument (ac).
+
+    We support any number of keyframes (KF1 … KFn) each with its own configuration:
+        layout         : name of a registered layout (see layouts.js): "stacked-random" |
+                         "stacked-group" | "wheel" | "grid" | "spiral" | "fan" | "helix" | …
         cardCount      : int
         cardWidth      : float
         cardHeight     : float
         cardSpacing    : float   (spacing within layout)
-        groupSpec      : { sizes: number[], strokeColors: string[] } | null (only KF2)
-        camera         : { zoom, rotX, rotY, rotZ }
+        groupSpec      : { sizes: number[], strokeColors: string[], names?: string[], units?: ("%"|"#")[],
+                           faceTexts?: string[] }
+                         | null (stacked-group only). Sizes are resolved by groupCounts() so they
+                         always add up to cardCount.
+        camera         : { zoom, rotX, rotY, rotZ, targetX?, targetY?, targetZ? }  (target = orbit centre)
+        data           : optional dataset binding / column mapping (see data.js)
+        face           : optional text / image shown on the card faces (see faces.js)
 
     We interpolate between numeric fields; for arrays (group sizes / stroke) we do discrete mapping.
+    Transition settings (duration, easing, spawn / collapse / colour-blend windows and the
+    choreography of choreography.js) are keyed by "<from>-<to>" keyframe index; the panel edits
+    the consecutive pairs (0-1, 1-2, …, n-0) and any other pair falls back to its reverse, then
+    to the layout pair's choreography and TRANSITION_DEFAULTS.
 */
 
-const EASING = (t) => { // cubic in-out
-    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-};
-
 // -----------------------------------------------------------------------------
-// DEFAULT KEYFRAMES
+// DEFAULT SCENE
 // -----------------------------------------------------------------------------
 
-let keyframes = [
-    {
+// The demo scene an AnimationCards instance shows when it is given none
+function defaultScene() {
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        keyframes: [
+            {
+                layout: "stacked-random",
+                cardCount: 52,
+                cardWidth: 0.1,
+                cardHeight: 30,
+                cardSpacing: 1,
+                cardThickness: 0.1,
+                groupSpec: null,
+                camera: { zoom: 10, rotX: 0, rotY: 90, rotZ: 0 }
+            },
+            {
+                layout: "stacked-group",
+                cardCount: 50,
+                cardWidth: 20,
+                cardHeight: 10,
+                cardSpacing: 1,
+                cardThickness: 0.1,
+                groupSpec: {
+                    sizes: [5,10,15,20,15,10,15,10], // percentage summing to 100
+                    strokeColors: ["#68B3BE", "#3C946A", "#FF5A87", "#D26E00", "#F9C3C0", "#D093D0", "#FFE600", "#89C6FF"]
+                },
+                camera: { zoom: 8, rotX: -35, rotY: -45, rotZ: 0 },
+                groupSpacing: 3
+            },
+            {
+                layout: "wheel",
+                cardCount: 100,
+                cardWidth: 5,
+                cardHeight: 10,
+                cardSpacing: 1,
+                cardThickness: 0.1,
+                groupSpec: null,
+                camera: { zoom: 5, rotX: -90, rotY: 0, rotZ: 0 },
+                groupSpacing: 5
+            }
+        ],
+        // Per-transition overrides; missing fields come from the layout pair's choreography
+        // (layoutPairChoreography) and then TRANSITION_DEFAULTS
+        transitions: {
+            '0-1': { duration: 1000 },
+            '1-2': { duration: 1000 },
+            '2-0': { duration: 1000 }
+        },
+        // which group transitions to wheel
+        selectedGroupForWheel: 2 // zero‑based (3rd group)
+    };
+}
+
+// Timing windows are fractions of the (eased) timeline
+const TRANSITION_DEFAULTS = {
+    duration: 1000,                // ms
+    easing: 'easeInOutCubic',      // see easing.js
+    steps: 8,                      // easing "steps"
+    bezier: [0.25, 0.1, 0.25, 1],  // easing "cubic-bezier"
+    spawnStart: 0.6,               // new cards only start appearing after 60 % …
+    spawnWindow: 0.4,              // … and are staggered across the next 40 %
+    collapseWindow: 1 / 3,         // removed cards shrink away within the first third
+    colorBlendStart: 0.85,         // stroke colours blend over the last 15 %
+    colorBlendEnd: 1,
+    // choreography, see choreography.js
+    match: 'index',                // CARD_MATCHERS
+    spawnOrigin: 'last-source',    // SPAWN_ORIGINS
+    stagger: 'index',              // STAGGER_ORDERS
+    moveStagger: 0,                // matched cards start together
+    collapse: 'shrink',            // COLLAPSE_STYLES
+    // rotations take the shortest arc; these add full turns about Y (negative = other way)
+    cameraSpin: 0,
+    cardSpin: 0,
+    // 'tween' plays duration / easing; 'spring' lets every card settle on a spring (spring.js)
+    mode: 'tween',
+    stiffness: 170,
+    damping: 26,
+    mass: 1,
+    springStagger: 0               // ms between cards letting go, in the stagger order
+};
+
+function defaultGroupSpec() {
+    return {
+        sizes: [5,10,15,20,15,10,15,10],
+        strokeColors: ["#68B3BE", "#3C946A", "#FF5A87", "#D26E00", "#F9C3C0", "#D093D0", "#FFE600", "#89C6FF"]
+    };
+}
+
+function defaultKeyframe() {
+    return {
         layout: "stacked-random",
-        cardCount: 52,
-        cardWidth: 0.1,
-        cardHeight: 30,
-        cardSpacing: 1,
-        cardThickness: 0.1,
-        groupSpec: null,
-        camera: { zoom: 10, rotX: 0, rotY: 90, rotZ: 0 }
-    },
-    {
-        layout: "stacked-group",
         cardCount: 50,
-        cardWidth: 20,
-        cardHeight: 10,
-        cardSpacing: 1,
-        cardThickness: 0.1,
-        groupSpec: {
-            sizes: [5,10,15,20,15,10,15,10], // percentage summing to 100
-            strokeColors: ["#68B3BE", "#3C946A", "#FF5A87", "#D26E00", "#F9C3C0", "#D093D0", "#FFE600", "#89C6FF"]
-        },
-        camera: { zoom: 8, rotX: -35, rotY: -45, rotZ: 0 },
-        groupSpacing: 3
-    },
-    {
-        layout: "wheel",
-        cardCount: 100,
-        cardWidth: 5,
-        cardHeight: 10,
+        cardWidth: 10,
+        cardHeight: 20,
         cardSpacing: 1,
         cardThickness: 0.1,
         groupSpec: null,
-        camera: { zoom: 5, rotX: -90, rotY: 0, rotZ: 0 },
-        groupSpacing: 5
-    }
-];
+        camera: { zoom: 8, rotX: -35, rotY: -45, rotZ: 0 }
+    };
+}
 
 // -----------------------------------------------------------------------------
-// Working structures
+// P5 SKETCH
 // -----------------------------------------------------------------------------
-let cards = [];          // array of objects representing each visible card
-let currentKF = 0;       // index of the currently displayed keyframe
-let targetKF = 0;        // index we are animating to
-let animStart = 0;       // millis when animation starts
-let animDuration = 2000; // ms
-let animating = false;
-
-// choose which group transitions to wheel
-let SELECTED_GROUP_FOR_WHEEL = 2; // zero‑based (3rd group)
-
-let transitionDurations = {
-    '0-1': 1000,
-    '1-2': 1000,
-    '2-0': 1000
-};
 
-function setup() {
-    const canvasParent = select('#canvas-container');
-    const c = createCanvas(canvasParent.width, canvasParent.height, WEBGL);
-    c.parent(canvasParent);
+// Instance-mode sketch for one AnimationCards: the canvas fills ac.container
+function cardsSketch(ac) {
+    return (p) => {
+        p.setup = () => {
+            const c = p.createCanvas(ac.container.offsetWidth, ac.container.offsetHeight, p.WEBGL);
+            // right-drag pans the camera instead of opening the context menu
+            c.elt.addEventListener('contextmenu', (e) => e.preventDefault());
+        };
+
+        p.windowResized = () => {
+            p.resizeCanvas(ac.container.offsetWidth, ac.container.offsetHeight);
+        };
 
-    // build cards for initial keyframe
-    applyKeyframe(keyframes[currentKF], true);
+        p.draw = () => drawFrame(ac);
 
-    setupUI();
+        // Presses on the canvas orbit / pan the camera (camera.js), or turn an idle wheel when they
+        // land on one of its cards (wheel.js); only a press without a drag is a click
+        p.mousePressed = (event) => { if (!wheelPress(ac, event)) cameraPress(ac, event); };
+        p.mouseDragged = () => { if (ac.wheel.drag) wheelDragMove(ac); else cameraDragMove(ac); };
+        p.mouseReleased = () => { if (ac.wheel.drag ? wheelRelease(ac) : cameraRelease(ac)) canvasClicked(ac); };
+        p.mouseWheel = (event) => cameraWheel(ac, event);
+    };
 }
 
-function windowResized() {
-    const canvasParent = select('#canvas-container');
-    resizeCanvas(canvasParent.width, canvasParent.height);
+// Clicks count during transitions too: a group clicked on (or on the way to) a stacked-group
+// keyframe goes to the wheel. A card clicked on an idle wheel drills into its sub-group when the
+// wheel shows nested data (drill.js), else turns to the front.
+function canvasClicked(ac) {
+    const pick = registerClick(ac);
+    const at = plannedKeyframe(ac);
+    if (ac.keyframes[at].layout === 'stacked-group' && pick && pick.groupIndex != null && findNextKeyframeWithLayout(ac, at, 'wheel') >= 0) {
+        // Start stacked-group -> wheel transition
+        ac.selectGroup(pick.groupIndex);
+    } else if (pick && onWheelKeyframe(ac)) {
+        const name = drillTargetOf(ac, pick.card);
+        if (name === null || !drillInto(ac, name)) snapWheelTo(ac, pick.index);
+    }
 }
 
 // -----------------------------------------------------------------------------
-// UI HANDLERS
+// ANIMATION ENGINE
 // -----------------------------------------------------------------------------
-function setupUI() {
-    // panel toggle
-    const panel = document.getElementById('sidePanel');
-    document.getElementById('togglePanelBtn').addEventListener('click', () => {
-        panel.classList.toggle('open');
-        document.querySelector('.canvas-container').classList.toggle('shifted');
-    });
-    document.getElementById('closePanelBtn').addEventListener('click', () => {
-        panel.classList.remove('open');
-        document.querySelector('.canvas-container').classList.remove('shifted');
-    });
-
-    // tab switching (KF editors – just placeholder for now)
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            const tabId = btn.getAttribute('data-tab');
-            document.querySelectorAll('.tab-content').forEach(tc => tc.classList.remove('active'));
-            document.getElementById(tabId).classList.add('active');
-            // Immediately switch to this keyframe state
-            const idx = ['kf1','kf2','kf3'].indexOf(tabId);
-            currentKF = idx;
-            applyKeyframe(keyframes[idx], true);
-            renderState = JSON.parse(JSON.stringify(cards));
-        });
-    });
-
-    // animate controls
-    document.getElementById('animateForwardBtn').addEventListener('click', () => {
-        const next = (currentKF + 1) % keyframes.length;
-        startAnimationTo(next);
-    });
-    document.getElementById('animateBackwardBtn').addEventListener('click', () => {
-        const prev = (currentKF - 1 + keyframes.length) % keyframes.length;
-        startAnimationTo(prev);
-    });
-
-    // Generate parameter controls for each keyframe
-    generateKeyframePanels();
-
-    // Timing controls
-    const timingDiv = document.createElement('div');
-    timingDiv.className = 'timing-controls';
-    const labels = ['0-1','1-2','2-0'];
-    labels.forEach(lbl => {
-        const wrap = document.createElement('div');
-        wrap.style.marginTop = '8px';
-        const lab = document.createElement('label');
-        lab.textContent = `KF${lbl.replace('-','→')}: `;
-        lab.style.marginRight = '6px';
-        const inp = document.createElement('input');
-        inp.type = 'number'; inp.min='100'; inp.value = transitionDurations[lbl]; inp.step='100';
-        inp.addEventListener('input', () => { transitionDurations[lbl] = parseInt(inp.value) || 100; });
-        wrap.appendChild(lab);
-        wrap.appendChild(inp);
-        timingDiv.appendChild(wrap);
-    });
-    document.querySelector('.side-panel .controls').appendChild(timingDiv);
+// Animate to keyframe kfIndex; `group` also sends that group to the wheel (see selectGroup),
+// `drill` moves a nested-data wheel to that drill path (see drill.js; kfIndex is the wheel).
+// A call while a transition plays follows ac.interrupt:
+//     'retarget' : start over from the live card poses and camera (ac.animFrom), no snapping
+//     'queue'    : play it after the queued ones (ac.queue)
+function startAnimationTo(ac, kfIndex, { group, drill } = {}) {
+    let interrupted = false;
+    const plain = group === undefined && drill === undefined;
+    if (ac.animating) {
+        if (ac.interrupt === 'queue') {
+            if (kfIndex !== plannedKeyframe(ac) || !plain) ac.queue.push({ index: kfIndex, group, drill });
+            return;
+        }
+        if (kfIndex === ac.targetKF && plain) return; // already on the way
+        // the new leg starts where the cards are now (and, for springs, as fast as they move)
+        ac.animFrom = livePose(ac, ac.animFrom || ac.keyframes[ac.currentKF], ac.keyframes[ac.targetKF], ac.clock.time, ac.animTransition);
+        // its settings are those of the keyframe the cards were heading for -> the new target
+        if (kfIndex !== ac.targetKF) ac.currentKF = ac.targetKF;
+        interrupted = true;
+    } else if (kfIndex === ac.currentKF && !ac.animFrom && plain) {
+        return;
+    } else {
+        // start from the view on screen: the user may have orbited, panned or zoomed (camera.js)
+        const kfCamera = cameraOf(ac.keyframes[ac.currentKF]);
+        const cameraMoved = CAMERA_FIELDS.some(f => ac.renderCamera[f] !== kfCamera[f]);
+        if (ac.wheel.turned || drill !== undefined) {
+            // leave a turned wheel (wheel.js) or a drill level from where its cards are
+            ac.animFrom = { cards: ac.renderState.filter(c => !(c.alive < 0.01)), camera: { ...ac.renderCamera } };
+        } else if (cameraMoved) {
+            ac.animFrom = { cards: layoutCards(ac, ac.keyframes[ac.currentKF]), camera: { ...ac.renderCamera } };
+        }
+    }
+    resetWheel(ac);
+    if (group !== undefined) {
+        ac.selectedGroup = group;
+        ac.drillPath = [];
+        ac.emit('change');
+    }
+    // a drill step replays the group-to-wheel transition, backwards on the way up
+    const up = drill !== undefined && drill.length < ac.drillPath.length;
+    if (drill !== undefined) ac.drillPath = drill;
+    ac.targetKF = kfIndex;
+    if (drill !== undefined) {
+        ac.emit('drill', { path: [...drill], up });
+        ac.emit('change');
+    }
+    restartClock(ac.clock);
+    // choose duration / easing / timing windows based on from->to (shortened or cross-faded
+    // when reduced motion is on, see accessibility.js)
+    const tr = drill !== undefined ? drillTransition(ac, kfIndex, up) : getTransition(ac, ac.currentKF, kfIndex);
+    ac.animTransition = motionTransition(ac, tr);
+    ac.animDuration = transitionDuration(ac, ac.animFrom || ac.keyframes[ac.currentKF], ac.keyframes[kfIndex], ac.animTransition);
+    ac.animating = true;
+    ac.emit('transitionstart', { from: ac.currentKF, to: kfIndex, interrupted });
 }
 
-// Helper: create labelled input row
-function createInputRow(labelText, inputEl) {
-    const row = document.createElement('div');
-    row.className = 'input-row';
-    const lab = document.createElement('label');
-    lab.textContent = labelText;
-    lab.style.marginRight = '8px';
-    lab.style.minWidth = '110px';
-    lab.style.display = 'inline-block';
-    lab.style.fontSize = '12px';
-    row.appendChild(lab);
-    row.appendChild(inputEl);
-    return row;
+// The keyframe the instance will end up on: the last queued one, else the current target
+// (which is currentKF while idle)
+function plannedKeyframe(ac) {
+    return ac.queue.length ? ac.queue[ac.queue.length - 1].index : ac.targetKF;
 }
 
-function generateKeyframePanels() {
-    ['kf1','kf2','kf3'].forEach((tabId, idx)=>{
-        const cont = document.getElementById(tabId);
-        cont.innerHTML='';
-        const kf = keyframes[idx];
-
-        // Layout select
-        const layoutSel = document.createElement('select');
-        ['stacked-random','stacked-group','wheel'].forEach(v=>{
-            const opt = document.createElement('option');
-            opt.value=v; opt.textContent=v; layoutSel.appendChild(opt);
-        });
-        layoutSel.value=kf.layout;
-        layoutSel.addEventListener('change',()=>{ kf.layout = layoutSel.value; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Layout', layoutSel));
-
-        // Card count
-        const countIn = document.createElement('input');
-        countIn.type='number'; countIn.min='1'; countIn.value=kf.cardCount;
-        countIn.addEventListener('input',()=>{ kf.cardCount=parseInt(countIn.value)||1; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Card Count', countIn));
-
-        // Card width / height
-        const widthIn=document.createElement('input'); widthIn.type='number'; widthIn.value=kf.cardWidth;
-        widthIn.addEventListener('input',()=>{ kf.cardWidth=parseFloat(widthIn.value)||1; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Card Width', widthIn));
-
-        const heightIn=document.createElement('input'); heightIn.type='number'; heightIn.value=kf.cardHeight;
-        heightIn.addEventListener('input',()=>{ kf.cardHeight=parseFloat(heightIn.value)||1; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Card Height', heightIn));
-
-        // Card thickness
-        const thickIn=document.createElement('input'); thickIn.type='number'; thickIn.step='0.1'; thickIn.value=kf.cardThickness;
-        thickIn.addEventListener('input',()=>{ kf.cardThickness=parseFloat(thickIn.value)||0.1; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Thickness', thickIn));
-
-        // Spacing
-        const spaceIn=document.createElement('input'); spaceIn.type='number'; spaceIn.step='0.1'; spaceIn.value=kf.cardSpacing;
-        spaceIn.addEventListener('input',()=>{ kf.cardSpacing=parseFloat(spaceIn.value)||0.1; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Spacing', spaceIn));
-
-        // After Spacing input, add Group Spacing
-        if(tabId === 'kf2') {
-            const grpSpaceIn = document.createElement('input');
-            grpSpaceIn.type = 'number'; grpSpaceIn.step = '0.1'; grpSpaceIn.value = kf.groupSpacing || 0;
-            grpSpaceIn.addEventListener('input', () => {
-                kf.groupSpacing = parseFloat(grpSpaceIn.value) || 0;
-                if(currentKF === idx) applyKeyframe(kf, true);
-            });
-            cont.appendChild(createInputRow('Group Spacing', grpSpaceIn));
+// Start the next queued transition, skipping entries whose keyframe was deleted meanwhile
+function playQueued(ac) {
+    while (ac.queue.length) {
+        const { index, group, drill } = ac.queue.shift();
+        if (index < ac.keyframes.length) {
+            startAnimationTo(ac, index, { group, drill });
+            return;
         }
+    }
+}
 
-        // Camera zoom
-        const zoomIn=document.createElement('input'); zoomIn.type='number'; zoomIn.step='0.1'; zoomIn.value=kf.camera.zoom;
-        zoomIn.addEventListener('input',()=>{ kf.camera.zoom=parseFloat(zoomIn.value)||1; if(currentKF===idx){ applyKeyframe(kf,true);} });
-        cont.appendChild(createInputRow('Zoom', zoomIn));
-
-        // Camera rotations X,Y,Z
-        ['rotX','rotY','rotZ'].forEach(axis=>{
-            const inp=document.createElement('input'); inp.type='number'; inp.step='1'; inp.value=kf.camera[axis];
-            inp.addEventListener('input',()=>{ kf.camera[axis]=parseFloat(inp.value)||0; if(currentKF===idx){ applyKeyframe(kf,true);} });
-            cont.appendChild(createInputRow('Cam '+axis.toUpperCase(), inp));
-        });
-    });
+// The active transition reached its target: it becomes the current keyframe, then the queue plays
+function finishTransition(ac) {
+    const from = ac.currentKF;
+    ac.animating = false;
+    ac.animFrom = null;
+    ac.currentKF = ac.targetKF;
+    // preserve final blended colors rather than re-applying keyframe
+    ac.emit('transitionend', { from, to: ac.currentKF });
+    ac.emit('keyframe', { index: ac.currentKF });
+    playQueued(ac);
 }
 
-// -----------------------------------------------------------------------------
-// ANIMATION ENGINE
-// -----------------------------------------------------------------------------
-function startAnimationTo(kfIndex) {
-    if (kfIndex === currentKF) return;
-    targetKF = kfIndex;
-    animStart = millis();
-    // choose duration based on from->to
-    const key = `${currentKF}-${kfIndex}`;
-    animDuration = transitionDurations[key] || animDuration;
-    animating = true;
+function transitionKey(from, to) {
+    return `${from}-${to}`;
+}
+
+// Settings for any pair of keyframes: explicit entry, else its reverse, on top of the defaults
+function getTransition(ac, from, to) {
+    const own = ac.transitions[transitionKey(from, to)] ?? ac.transitions[transitionKey(to, from)] ?? {};
+    const pair = layoutPairChoreography(ac.keyframes[from]?.layout, ac.keyframes[to]?.layout);
+    return { ...TRANSITION_DEFAULTS, ...pair, ...own };
+}
+
+// Writable override entry for from->to, seeded from whatever it currently inherits
+function editTransition(ac, from, to) {
+    const key = transitionKey(from, to);
+    if (!ac.transitions[key]) {
+        const inherited = ac.transitions[transitionKey(to, from)];
+        ac.transitions[key] = inherited ? JSON.parse(JSON.stringify(inherited)) : {};
+    }
+    return ac.transitions[key];
+}
+
+// Index of the first keyframe after `from` (wrapping) using the given layout, or -1
+function findNextKeyframeWithLayout(ac, from, layout) {
+    const { keyframes } = ac;
+    for (let step = 1; step < keyframes.length; step++) {
+        const idx = (from + step) % keyframes.length;
+        if (keyframes[idx].layout === layout) return idx;
+    }
+    return -1;
+}
+
+// Index of the last keyframe before `to` (wrapping) using the given layout, or -1
+function findPreviousKeyframeWithLayout(ac, to, layout) {
+    const { keyframes } = ac;
+    for (let step = 1; step < keyframes.length; step++) {
+        const idx = (to - step + keyframes.length) % keyframes.length;
+        if (keyframes[idx].layout === layout) return idx;
+    }
+    return -1;
+}
+
+// True while idle or departing from a stacked-group keyframe (hover / standby lift)
+function onGroupKeyframe(ac) {
+    return ac.keyframes[ac.currentKF].layout === 'stacked-group';
+}
+
+function applyKeyframe(ac, kf, immediate=false) {
+    ac.cards = layoutCards(ac, kf);
+
+    // store kf camera into the instance's config
+    Object.assign(ac.cameraState, cameraOf(kf));
+
+    if (immediate) {
+        ac.renderState = ac.cards.map(c => ({ ...c })); // renderState entries are replaced, never shared
+        ac.animFrom = null;
+    }
+}
+
+// Laid-out cards per keyframe, reused until the keyframe or something it depends on changes.
+// The returned arrays are shared (also between instances): treat them as read-only.
+const LAYOUT_CACHE_SIZE = 16;
+const layoutCache = new Map();      // cache key -> cards
+const datasetIds = new WeakMap();   // dataset object -> id (a reloaded file is a new object)
+let nextDatasetId = 1;
+
+// ac supplies what a layout depends on besides the keyframe: datasets, selectedGroup and drillPath
+function layoutCacheKey(ac, kf) {
+    const ds = kf.data && ac.datasets[kf.data.dataset];
+    if (ds && !datasetIds.has(ds)) datasetIds.set(ds, nextDatasetId++);
+    const drill = drillsInto(kf) ? JSON.stringify(ac.drillPath) : '';
+    return `${JSON.stringify(kf)}|${ac.selectedGroup}|${ds ? datasetIds.get(ds) : 0}|${drill}`;
 }
 
-function applyKeyframe(kf, immediate=false) {
-    // regenerate card array if needed (count change)
-    cards = [];
+function layoutCards(ac, kf) {
+    const key = layoutCacheKey(ac, kf);
+    let laid = layoutCache.get(key);
+    if (!laid) {
+        laid = computeLayout(ac, kf);
+        layoutCache.set(key, laid);
+        if (layoutCache.size > LAYOUT_CACHE_SIZE) layoutCache.delete(layoutCache.keys().next().value);
+    }
+    return laid;
+}
+
+function computeLayout(ac, kf) {
+    // a bound dataset decides the card count and group sizes
+    const data = resolveData(kf, ac.datasets, { group: ac.selectedGroup, path: ac.drillPath });
+    kf = resolveKeyframe(kf, data);
+
+    const cards = [];
     for (let i = 0; i < kf.cardCount; i++) {
         const card = {
             x: 0, y: 0, z: 0,
@@ -271,451 +369,163 @@ function applyKeyframe(kf, immediate=false) {
         cards.push(card);
     }
 
-    // helper to align card bottom on y=0
-    const alignBottom = (c)=>{ c.y = -c.h/2; };
-
-    if (kf.layout === 'stacked-random') {
-        // Generate random heights once per keyframe
-        if (!kf.randomHeights || kf.randomHeights.length !== kf.cardCount) {
-            kf.randomHeights = [];
-            let baseHeight = kf.cardHeight * 0.5;
-            for (let i = 0; i < kf.cardCount; i++) {
-                kf.randomHeights.push(baseHeight * random(0.8, 1.4));
-            }
-        }
-
-        const startZ = -(kf.cardCount * kf.cardSpacing) / 2;
-        for (let i = 0; i < cards.length; i++) {
-            cards[i].z = startZ + i * kf.cardSpacing;
-            cards[i].h = kf.randomHeights[i];
-            alignBottom(cards[i]);
-        }
-    } else if (kf.layout === 'stacked-group') {
-        const gaps = kf.groupSpacing || 5;
-        const startZ = -(kf.cardCount * kf.cardSpacing + gaps*8) / 2;
-        let zCursor = startZ;
-        const grpSizes = kf.groupSpec.sizes.map(p => round((p/100) * kf.cardCount));
-        let cardIndex = 0;
-        let selCounter = 0;
-        for (let g = 0; g < grpSizes.length; g++) {
-            const strokeCol = kf.groupSpec.strokeColors[g % kf.groupSpec.strokeColors.length];
-            for (let j=0; j<grpSizes[g]; j++) {
-                if(cardIndex>=cards.length) break;
-                const c = cards[cardIndex];
-                c.z = zCursor;
-                c.stroke = strokeCol;
-                c.groupIndex = g;
-                if(g === SELECTED_GROUP_FOR_WHEEL){
-                    c.wheelIndex = selCounter++; // sequential order for wheel target
-                }
-                alignBottom(c);
-                zCursor += kf.cardSpacing;
-                cardIndex++;
-            }
-            zCursor += gaps;
-        }
-    } else if (kf.layout === 'wheel') {
-        const radius = 40;
-        for (let i = 0; i < cards.length; i++) {
-            const angle = ((i + 0.5) / kf.cardCount) * TWO_PI;
-            const c = cards[i];
-            c.x = cos(angle) * radius;
-            c.z = sin(angle) * radius;
-            // Prevent card flipping: do not add PI
-            c.rotY = -angle;
-            c.groupIndex = SELECTED_GROUP_FOR_WHEEL;
-            c.wheelIndex = i;
-            alignBottom(c);
-        }
-    }
+    if (data) applyDataBeforeLayout(cards, kf, data);
 
-    // store kf camera into global config
-    cameraState.zoom = kf.camera.zoom;
-    cameraState.rotX = kf.camera.rotX;
-    cameraState.rotY = kf.camera.rotY;
-    cameraState.rotZ = kf.camera.rotZ;
+    // position the cards with the registered layout
+    const layout = getLayout(kf.layout);
+    if (layout) layout.place(cards, kf, { selectedGroup: ac.selectedGroup, fixedHeights: !!(data && kf.data.height) });
 
-    if (immediate) {
-        renderState = JSON.parse(JSON.stringify(cards)); // deep copy to renderState used in draw()
-    }
+    if (data) applyDataAfterLayout(cards, kf, data);
+    applyFaces(cards, kf, data);
+    return cards;
 }
 
-// We keep renderState separate for interpolation
-let renderState = [];
-
-// simple camera holder
-let cameraState = { zoom:1, rotX:0, rotY:0, rotZ:0 };
-let renderCamera = { zoom:1, rotX:0, rotY:0, rotZ:0 };
-
-// Y‑offset applied to the selected group while waiting on KF2
-let standbyYOffset = 0;
-
-// Hover interaction state (only used on KF2)
-let hoveredGroup = null;
-
-function mousePressed() {
-    if (currentKF === 1 && !animating && hoveredGroup != null) {
-        SELECTED_GROUP_FOR_WHEEL = hoveredGroup;
-        // Start KF2 -> KF3 transition
-        startAnimationTo(2); // KF3 index is 2
-    }
+// Cards and camera between two keyframes at eased time t. Pure: ctx is anything with the
+// fields layoutCards() reads (an AnimationCards instance, or an engine scene of engine.js).
+// Either end may also be a live pose { cards, camera }: `from` one a transition was
+// interrupted at, `toKF` one a reversed transition heads back to (see transitionFrameAt).
+function transitionFrame(ctx, from, toKF, t, tr) {
+    // card positions of both ends (keyframe layouts are cached, see layoutCards)
+    const fromCards = from.cards || layoutCards(ctx, from);
+    const toCards = toKF.cards || layoutCards(ctx, toKF);
+
+    // interpolate numeric camera params (a cross-fade cuts halfway instead)
+    const fromCam = from.cards ? from.camera : cameraOf(from), toCam = toKF.cards ? toKF.camera : cameraOf(toKF);
+    const camT = tr.crossfade ? (t < 0.5 ? 0 : 1) : t;
+    const camera = {};
+    CAMERA_FIELDS.forEach(f => { camera[f] = lerpNum(fromCam[f], toCam[f], camT); });
+    // orientation along the shortest arc (rotation.js), plus any extra turns asked for
+    Object.assign(camera, slerpRotationDeg(fromCam, toCam, camT, tr.cameraSpin));
+
+    // matching, spawning and collapsing follow the transition's choreography (choreography.js)
+    const cards = tr.crossfade ? crossfadeStates(fromCards, toCards, t) : choreograph(fromCards, toCards, t, tr);
+    return { cards, camera };
 }
 
-function interpolateStates(fromKF, toKF, t) {
-    // interpolate numeric camera params
-    renderCamera.zoom = lerp(fromKF.camera.zoom, toKF.camera.zoom, t);
-    renderCamera.rotX = lerp(fromKF.camera.rotX, toKF.camera.rotX, t);
-    renderCamera.rotY = lerp(fromKF.camera.rotY, toKF.camera.rotY, t);
-    renderCamera.rotZ = lerp(fromKF.camera.rotZ, toKF.camera.rotZ, t);
-
-    // interpolate card count (spawn/despawn)
-    const maxCount = max(fromKF.cardCount, toKF.cardCount);
-    if (renderState.length < maxCount) {
-        for (let i = renderState.length; i < maxCount; i++) {
-            renderState.push({x:0,y:0,z:0,rotX:0,rotY:0,rotZ:0,w:20,h:30,stroke:'#fff',alive:0});
-        }
-    }
-
-    // ensure we have positions precomputed for both keyframes
-    let fromCards = [];
-    let toCards = [];
-    applyKeyframe(fromKF);
-    fromCards = JSON.parse(JSON.stringify(cards));
-    applyKeyframe(toKF);
-    toCards = JSON.parse(JSON.stringify(cards));
-
-    // Flag usada apenas no salto KF2 → KF3 (grupo empilhado → roda)
-    const specialTransition =
-    (fromKF.layout === 'stacked-group' && toKF.layout === 'wheel');
-
-
-    // --------------------------------------------------------------
-    // Generic spawn parameters – KF origem tem menos cartas que destino
-    // --------------------------------------------------------------
-    const baseSpawnStart  = 0.60;  // duplicados só começam depois de 60 % da timeline
-    const spawnWindow     = 0.40;  // e espalham-se pelos 40 % finais
-    const spawnDuration   = 0.30;  // tempo mínimo de crescimento de cada duplicado
-
-    const spawnOrderMap   = {};
-    let   spawnDelayPerCard = 0;
-
-    if (fromKF.cardCount < toKF.cardCount) {
-        const missingIdx = [];
-        for (let i = 0; i < maxCount; i++) {
-            if (!fromCards[i] && toCards[i]) missingIdx.push(i);
-        }
-        spawnDelayPerCard = spawnWindow / Math.max(1, missingIdx.length);
-        missingIdx.forEach((idx, order) => { spawnOrderMap[idx] = order; });
-    }
+// Settings with `reverse` cleared, one object per reversed settings object (spring legs are
+// cached by settings identity)
+const forwardSettings = new WeakMap();
+function forwardOf(tr) {
+    if (!forwardSettings.has(tr)) forwardSettings.set(tr, { ...tr, reverse: false });
+    return forwardSettings.get(tr);
+}
 
-    // Posição inicial para cartas que surgem — usa a última carta visível do KF origem
-    const spawnOrigin = (fromCards.length > 0)
-        ? {
-            x: fromCards[fromCards.length - 1].x,
-            y: fromCards[fromCards.length - 1].y,
-            z: fromCards[fromCards.length - 1].z
-          }
-        : { x: 0, y: 0, z: 0 };
-
-
-    // Precompute anchor position of selected group in fromKF (for special transition)
-    let groupAnchor = {x:0, y:0, z:0};
-    if (fromKF.layout === 'stacked-group' && toKF.layout === 'wheel') {
-        let sumX=0,sumY=0,sumZ=0,count=0;
-        for(const c of fromCards){ if(c.groupIndex===SELECTED_GROUP_FOR_WHEEL){ sumX+=c.x; sumY+=c.y; sumZ+=c.z; count++; }}
-        if(count>0){ groupAnchor={x:sumX/count,y:sumY/count,z:sumZ/count}; }
+// Cards and camera `ms` into the transition: tweened (transitionFrame at the eased time) or,
+// in spring mode, sprung (spring.js). With tr.reverse (set for drill.js's "back up" steps) the
+// transition toKF -> from plays backwards instead, so the way back retraces the way there.
+function transitionFrameAt(ctx, from, toKF, ms, tr) {
+    if (tr.reverse) {
+        const fwd = forwardOf(tr);
+        return transitionFrameAt(ctx, toKF, from, transitionDuration(ctx, toKF, from, fwd) - ms, fwd);
     }
+    if (tr.mode === 'spring') return springFrame(ctx, from, toKF, ms, tr);
+    return transitionFrame(ctx, from, toKF, transitionProgress(tr, ms), tr);
+}
 
-    // ------------------------------------------------------------------
-    // KF2 -> KF3 special transition (stacked‑group  -> wheel)
-    // ------------------------------------------------------------------
-    if (fromKF.layout === 'stacked-group' && toKF.layout === 'wheel') {
-        // 1. originals
-        const origMap = new Map();
-        fromCards.forEach((c, idx)=>{
-            if(c && c.groupIndex===SELECTED_GROUP_FOR_WHEEL && c.wheelIndex!==undefined){
-                origMap.set(c.wheelIndex, {...c});
-            }
-        });
-
-        const originals = Array.from(origMap.keys());
-
-        const neededDup = [];
-        for(let w=0; w<toCards.length; w++){
-            if(!origMap.has(w)) neededDup.push(w);
-        }
-        neededDup.sort((a,b)=>a-b);
-        const dupOrder = {}; neededDup.forEach((w, order) => dupOrder[w] = order);
-        const baseSpawnStart = 0.6;           // start spawning once the group is ~95 % settled
-        const spawnWindow    = 0.4;           // spread spawns across the final 40 % of the timeline
-        const delayPerDup    = spawnWindow / Math.max(1, neededDup.length);
-        const spawnDuration  = 0.3;           // minimum growth time (actual may stretch to fit the remaining timeline)
-
-        // Determine original group stroke colour once for blending
-        const originalGroupStroke = fromKF.groupSpec ? fromKF.groupSpec.strokeColors[SELECTED_GROUP_FOR_WHEEL % fromKF.groupSpec.strokeColors.length] : '#ffffff';
-        const lastOrigIdx = originals.length ? Math.max(...originals) : null;
-        const lastOrigPos = (lastOrigIdx !== null) ? origMap.get(lastOrigIdx) : groupAnchor; // static start position
-
-        // Current interpolated position of the last original card at time t
-        let lastOrigLivePos = lastOrigPos;
-        if (lastOrigIdx !== null) {
-            const fcLast = origMap.get(lastOrigIdx);
-            const tcLast = toCards[lastOrigIdx];
-            const sOrig  = EASING(t);
-            lastOrigLivePos = {
-                x: lerp(fcLast.x, tcLast.x, sOrig),
-                y: lerp(fcLast.y, tcLast.y, sOrig),
-                z: lerp(fcLast.z, tcLast.z, sOrig)
-            };
-        }
+// Length of the transition in ms: its duration, or until the last spring has settled
+function transitionDuration(ctx, from, toKF, tr) {
+    if (tr.reverse) return transitionDuration(ctx, toKF, from, forwardOf(tr));
+    return tr.mode === 'spring' ? springLeg(ctx, from, toKF, tr).settleMs : tr.duration;
+}
 
-        for(let w=0; w<toCards.length; w++){
-            const tc = toCards[w];
-            const fc = origMap.get(w) || null;
-
-            if(fc){
-                const s = EASING(t);
-                // Smoothly blend stroke colour like generic interpolation
-                const colorBlend = constrain((t - 0.85) / 0.15, 0, 1);
-                const blendedStroke = lerpColor(color(fc.stroke), color(tc.stroke), colorBlend);
-                renderState[w] = {
-                    x: lerp(fc.x, tc.x, s),
-                    y: lerp(fc.y, tc.y, s),
-                    z: lerp(fc.z, tc.z, s),
-                    rotX: lerp(fc.rotX, tc.rotX, s),
-                    rotY: lerp(fc.rotY, tc.rotY, s),
-                    rotZ: lerp(fc.rotZ, tc.rotZ, s),
-                    w: lerp(fc.w, tc.w, s),
-                    h: lerp(fc.h, tc.h, s),
-                    d: lerp(fc.d, tc.d, s),
-                    stroke: blendedStroke,
-                    groupIndex: tc.groupIndex,
-                    alive: 1
-                };
-                continue;
-            }
-            if (dupOrder[w] !== undefined) {
-                const delay    = baseSpawnStart + dupOrder[w] * delayPerDup;   // staggered start
-                const duration = max(0.0001, 1 - delay);                      // time left until t reaches 1
-                const startPos = lastOrigLivePos;   // duplicates emerge from the live position of the last original card
-                const s        = constrain((t - delay) / duration, 0, 1);     // scale up over the remaining time
-                const sizeFactor = Math.sqrt(s);               // scale grows faster than position interpolates
-                // Smooth colour transition for spawned duplicates
-                const colorBlend = constrain((t - 0.85) / 0.15, 0, 1);
-                const blendedStroke = lerpColor(color(originalGroupStroke), color(tc.stroke), colorBlend);
-                renderState[w] = {
-                    x: lerp(startPos.x, tc.x, s),
-                    y: lerp(startPos.y, tc.y, s),
-                    z: lerp(startPos.z, tc.z, s),
-                    rotX: 0,
-                    rotY: tc.rotY,
-                    rotZ: 0,
-                    w: lerp(0, tc.w, sizeFactor),
-                    h: lerp(0, tc.h, sizeFactor),
-                    d: lerp(0, tc.d, sizeFactor),
-                    stroke: blendedStroke,
-                    groupIndex: tc.groupIndex,
-                    alive: s
-                };
-                continue;
-            }
-            // collapse everything else (fromCards not in group) handled earlier; for wheel index without card just alive 0
-            renderState[w]={groupIndex:null, alive:0};
-        }
-        // also collapse non‑selected group cards not part of wheel separately
-        fromCards.forEach(c => {
-            if (c.groupIndex !== SELECTED_GROUP_FOR_WHEEL) {
-                const s = constrain(t * 3, 0, 1);              // collapse faster
-                renderState[c.wheelIndex] = {
-                    x: c.x,
-                    y: c.y + lerp(0, c.h / 2, s),
-                    z: c.z,
-                    rotX: c.rotX,
-                    rotY: c.rotY,
-                    rotZ: c.rotZ,
-                    w: lerp(c.w, 0, s),
-                    h: lerp(c.h, 0, s),
-                    d: lerp(c.d, 0, s),
-                    stroke: c.stroke,
-                    groupIndex: c.groupIndex,
-                    alive: pow(1 - s, 2)                       // quadratic fade
-                };
-            }
-        });
-        return;
-    }
-    // ------------------------------------------------------------------
-
-    for (let i = 0; i < maxCount; i++) {
-        const fc = fromCards[i] || null;
-        const tc = toCards[i] || null;
-
-        const existFrom = fc !== null;
-        const existTo   = tc !== null;
-        if (!existFrom && existTo) {
-            const order      = spawnOrderMap[i] ?? 0;
-            const delayStart = baseSpawnStart + order * spawnDelayPerCard;
-            const duration   = Math.max(0.0001, 1 - delayStart);       // tempo real que sobra
-            const localT     = constrain((t - delayStart) / duration, 0, 1);
-            let startPos = spawnOrigin;
-            if (specialTransition && tc.groupIndex === SELECTED_GROUP_FOR_WHEEL) {
-                startPos = {...groupAnchor};
-            }
-            renderState[i] = {
-                x: lerp(startPos.x, tc.x, localT),
-                y: lerp(startPos.y, tc.y, localT),
-                z: lerp(startPos.z, tc.z, localT),
-                rotX: lerp(0, tc.rotX, localT),
-                rotY: lerp(0, tc.rotY, localT),
-                rotZ: lerp(0, tc.rotZ, localT),
-                w: lerp(0, tc.w, localT),
-                h: lerp(0, tc.h, localT),
-                d: lerp(0, tc.d, localT),
-                stroke: tc.stroke,
-                groupIndex: tc.groupIndex,
-                alive: localT
-            };
-        } else if (existFrom && !existTo) {
-            // despawn generic
-            renderState[i] = {
-                x: fc.x,
-                y: fc.y,
-                z: fc.z,
-                rotX: fc.rotX,
-                rotY: fc.rotY,
-                rotZ: fc.rotZ,
-                w: lerp(fc.w, 0, t),
-                h: lerp(fc.h, 0, t),
-                d: lerp(fc.d||0.5, 0, t),
-                stroke: fc.stroke,
-                groupIndex: fc.groupIndex,
-                alive: 1 - t
-            };
-        } else if (existFrom && existTo) {
-            // normal interpolation with delayed color blend
-            const colorBlend = constrain((t-0.85)/0.15,0,1);
-            const blended = lerpColor(color(fc.stroke), color(tc.stroke), colorBlend);
-            renderState[i] = {
-                x: lerp(fc.x, tc.x, t),
-                y: lerp(fc.y, tc.y, t),
-                z: lerp(fc.z, tc.z, t),
-                rotX: lerp(fc.rotX, tc.rotX, t),
-                rotY: lerp(fc.rotY, tc.rotY, t),
-                rotZ: lerp(fc.rotZ, tc.rotZ, t),
-                w: lerp(fc.w, tc.w, t),
-                h: lerp(fc.h, tc.h, t),
-                d: lerp(fc.d||0.5, tc.d, t),
-                stroke: blended,
-                groupIndex: tc.groupIndex,
-                alive:1
-            };
-        }
+// The pose `ms` into the transition as the start of a new leg: visible cards only (dead ones
+// stay behind), with their velocities when springs move them
+function livePose(ctx, from, toKF, ms, tr) {
+    let frame = transitionFrameAt(ctx, from, toKF, ms, tr);
+    if (tr.mode === 'spring' && tr.reverse) {
+        const fwd = forwardOf(tr), leg = springLeg(ctx, toKF, from, fwd);
+        frame = attachSpringVelocities(leg, leg.settleMs - ms, frame, -1);
+    } else if (tr.mode === 'spring') {
+        frame = attachSpringVelocities(springLeg(ctx, from, toKF, tr), ms, frame);
     }
+    return { cards: frame.cards.filter(c => !(c.alive < 0.01)), camera: frame.camera };
 }
 
-function draw() {
-    background(0);
-
-    // ------------------------------------------------------------------
-    // Hover detection (needs camera transform considered)
-    // ------------------------------------------------------------------
-    if (!animating && currentKF === 1) {
-        // Build inverse transformation matrix from current renderCamera
-        push();
-        resetMatrix();
-        // Apply inverse of camera to screen point
-        // screen -> world
-        const screenX = mouseX - width / 2;
-        const screenY = mouseY - height / 2;
-        // Inverse scale
-        let wx = screenX / renderCamera.zoom;
-        let wy = screenY / renderCamera.zoom;
-        let wz = 0;
-        // Inverse rotations (reverse order with negative angles)
-        // Z
-        let cosZ = cos(-radians(renderCamera.rotZ));
-        let sinZ = sin(-radians(renderCamera.rotZ));
-        let tx = wx * cosZ - wy * sinZ;
-        let ty = wx * sinZ + wy * cosZ;
-        wx = tx; wy = ty;
-        // Y
-        let cosY = cos(-radians(renderCamera.rotY));
-        let sinY = sin(-radians(renderCamera.rotY));
-        tx = wx * cosY + wz * sinY;
-        let tz = -wx * sinY + wz * cosY;
-        wx = tx; wz = tz;
-        // X
-        let cosX = cos(-radians(renderCamera.rotX));
-        let sinX = sin(-radians(renderCamera.rotX));
-        ty = wy * cosX - wz * sinX;
-        tz = wy * sinX + wz * cosX;
-        wy = ty; wz = tz;
-
-        // Determine group near this world X,Z (ignore Y): measure distance in XZ plane to cards centre of each group
-        let best = {g: null, dist: 1e9};
-        for (const c of renderState) {
-            if (c.groupIndex == null) continue;
-            const d2 = dist(wx, wz, c.x, c.z);
-            if (d2 < best.dist) best = {g: c.groupIndex, dist: d2};
-        }
-        hoveredGroup = best.dist < 40 ? best.g : null; // threshold tuned
-        pop();
-    } else {
-        hoveredGroup = null;
-    }
+function drawFrame(ac) {
+    // Hover picking: ray cast against the card boxes (picking.js)
+    updateHover(ac);
 
-    // update standby offset when idle on KF2
-    if (!animating && currentKF === 1) { // KF2 is index 1
-        const target = (hoveredGroup != null) ? -10 : 0;
-        standbyYOffset = lerp(standbyYOffset, target, 0.05);
+    // update standby offset when idle on a stacked-group keyframe
+    if (!ac.animating && onGroupKeyframe(ac)) {
+        const target = (highlightedGroup(ac) != null) ? -10 : 0;
+        ac.standbyYOffset = lerpNum(ac.standbyYOffset, target, 0.05);
     } else {
-        standbyYOffset = lerp(standbyYOffset, 0, 0.2); // reset quicker when not idle on KF2
+        ac.standbyYOffset = lerpNum(ac.standbyYOffset, 0, 0.2); // reset quicker when not idle on a group keyframe
     }
 
-    // time update
-    if (animating) {
-        const t = constrain((millis() - animStart) / animDuration, 0, 1);
-        const eased = EASING(t);
-        interpolateStates(keyframes[currentKF], keyframes[targetKF], eased);
-        if (t >= 1) {
-            animating = false;
-            currentKF = targetKF;
-            // preserve final blended colors rather than re-applying keyframe
+    // time update (timeline clock, see timeline.js)
+    if (ac.animating) {
+        const reached = tickClock(ac, ac.p5.millis());
+        evaluateTransitionAt(ac, ac.clock.time);
+        if (reached === 'end') {
+            finishTransition(ac);
+        } else if (reached === 'start') {
+            // ping-pong came back to where it started (an interrupted leg keeps its live start pose)
+            ac.animating = false;
+            ac.targetKF = ac.currentKF;
         }
     }
+    updateWheel(ac, ac.p5.millis());
+
+    renderScene(ac, ac.p5);
+    ac.emit('frame');
+}
+
+// Draw ac.renderState through ac.renderCamera into a p5 WEBGL target: the instance's own sketch
+// or a p5.Graphics used for export. Framing follows the target height, so an export at any
+// resolution shows the same picture as the canvas.
+function renderScene(ac, g, { hovered = highlightedGroup(ac), standby = ac.standbyYOffset } = {}) {
+    const cam = ac.renderCamera;
+    const stats = ac.renderStats;
+    g.background(0);
 
     // apply camera transform
-    push();
-    scale(renderCamera.zoom);
-    rotateX(radians(renderCamera.rotX));
-    rotateY(radians(renderCamera.rotY));
-    rotateZ(radians(renderCamera.rotZ));
+    g.push();
+    g.scale(cam.zoom * (g.height / ac.p5.height));
+    g.rotateX(toRadians(cam.rotX));
+    g.rotateY(toRadians(cam.rotY));
+    g.rotateZ(toRadians(cam.rotZ));
+    g.translate(-cam.targetX, -cam.targetY, -cam.targetZ);
 
     // lighting simple
-    ambientLight(120);
-    directionalLight(255,255,255, 0.5,0.5,-1);
-
-    // draw cards with black fill
-    fill(0);
-    for (let c of renderState) {
+    g.ambientLight(120);
+    g.directionalLight(255,255,255, 0.5,0.5,-1);
+
+    // draw cards with black fill: all boxes in one batch (render-batch.js), faces on top
+    g.fill(0);
+    const groupStage = onGroupKeyframe(ac);
+    const liftOf = (c) => cardLiftY(ac, c, { hovered, standby, groupStage });
+    const batched = batchAvailable(g);
+    if (batched) stats.drawn = drawCardsBatched(g, ac.renderState, liftOf);
+    else stats.drawn = 0;
+    for (let c of ac.renderState) {
         if (c.alive < 0.01) continue;
         if (c.w < 0.05 && c.h < 0.05 && c.d < 0.05) continue;
-        push();
-        const groupMatch = (currentKF === 1) && (
-            (hoveredGroup != null && c.groupIndex === hoveredGroup) ||
-            (animating && c.groupIndex === SELECTED_GROUP_FOR_WHEEL)
-        );
-        const extraY = groupMatch ? standbyYOffset : 0;
-        translate(c.x, c.y + extraY, c.z);
-        rotateX(c.rotX);
-        rotateY(c.rotY);
-        rotateZ(c.rotZ);
-        const col = color(c.stroke);
-        col.setAlpha(255 * c.alive);
-        stroke(col);
-        box(max(c.w,0.1), max(c.h,0.1), max(c.d||0.5,0.1));
-        pop();
+        if (batched && !c.face) continue;
+        g.push();
+        g.translate(c.x, c.y + liftOf(c), c.z);
+        g.rotateX(c.rotX);
+        g.rotateY(c.rotY);
+        g.rotateZ(c.rotZ);
+        if (!batched) {
+            const [r, gr, b, a] = parseColor(c.stroke);
+            g.stroke(r, gr, b, a * c.alive);
+            g.box(Math.max(c.w,0.1), Math.max(c.h,0.1), Math.max(c.d||0.5,0.1));
+            stats.drawn++;
+        }
+        drawCardFace(ac, g, c);
+        g.pop();
     }
 
-    pop();
-} 
+    g.pop();
+}
+
+// Vertical lift of a card on a stacked-group keyframe: the hovered (or keyboard-focused) group,
+// and the selected one while it leaves for the wheel, rises by the standby offset. Shared with picking.
+function cardLiftY(ac, c, { hovered = highlightedGroup(ac), standby = ac.standbyYOffset, groupStage = onGroupKeyframe(ac) } = {}) {
+    const groupMatch = groupStage && (
+        (hovered != null && c.groupIndex === hovered) ||
+        (ac.animating && c.groupIndex === ac.selectedGroup)
+    );
+    return groupMatch ? standby : 0;
+}
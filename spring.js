@@ -0,0 +1,190 @@
+// Animation Cards – Spring transitions
+// A transition with mode 'spring' has no fixed duration: every card is a damped spring pulled
+// from its start pose to its end pose (the choreography's poses at t = 0 and t = 1), and the
+// transition lasts until the last card has settled. Settings (see TRANSITION_DEFAULTS):
+//
+//     stiffness     : spring constant k
+//     damping       : damping coefficient c (2·√(k·m) is critical: no overshoot)
+//     mass          : m
+//     springStagger : ms between one card letting go and the next, in the stagger order
+//
+// Springs have a closed-form solution, so a leg is evaluated at any time without stepping a
+// simulation: scrubbing and frame-exact export keep working and engine.js stays pure.
+// Velocities are per card. When a spring transition is interrupted, livePose() hands the live
+// velocities to the cards of the new leg, which starts with that momentum.
+
+const SPRING_FIELDS = ['x', 'y', 'z', 'w', 'h', 'd', 'alive'];
+const SPRING_CAMERA_FIELDS = ['zoom', 'targetX', 'targetY', 'targetZ'];
+const SPRING_REST = 0.01;     // settled once every field stays this close to its end value
+const SPRING_MAX_MS = 20000;  // even a barely damped spring ends
+
+function springConstants({ stiffness, damping, mass }) {
+    const w0 = Math.sqrt(stiffness / mass);
+    const zeta = damping / (2 * Math.sqrt(stiffness * mass));
+    const sc = { w0, zeta };
+    if (zeta < 1) {
+        sc.wd = w0 * Math.sqrt(1 - zeta * zeta);
+    } else if (zeta > 1) {
+        const root = w0 * Math.sqrt(zeta * zeta - 1);
+        sc.r1 = -zeta * w0 + root; // slow mode
+        sc.r2 = -zeta * w0 - root; // fast mode
+    }
+    return sc;
+}
+
+// [displacement, velocity] t seconds after letting go at displacement d0 with velocity v0
+function springAt(d0, v0, t, sc) {
+    const { w0, zeta } = sc;
+    if (zeta < 1) {
+        const decay = Math.exp(-zeta * w0 * t);
+        const b = (v0 + zeta * w0 * d0) / sc.wd;
+        const cos = Math.cos(sc.wd * t), sin = Math.sin(sc.wd * t);
+        const d = decay * (d0 * cos + b * sin);
+        return [d, -zeta * w0 * d + decay * sc.wd * (b * cos - d0 * sin)];
+    }
+    if (zeta > 1) {
+        const c1 = (v0 - sc.r2 * d0) / (sc.r1 - sc.r2), c2 = d0 - c1;
+        const e1 = Math.exp(sc.r1 * t), e2 = Math.exp(sc.r2 * t);
+        return [c1 * e1 + c2 * e2, c1 * sc.r1 * e1 + c2 * sc.r2 * e2];
+    }
+    const b = v0 + w0 * d0, decay = Math.exp(-w0 * t);
+    return [decay * (d0 + b * t), decay * (b - w0 * (d0 + b * t))];
+}
+
+// Seconds until |displacement| stays below SPRING_REST, from an envelope amp · e^(-rate·t)
+function springSettle(d0, v0, sc) {
+    const { w0, zeta } = sc;
+    let amp, rate;
+    if (zeta < 1) {
+        amp = Math.hypot(d0, (v0 + zeta * w0 * d0) / sc.wd);
+        rate = zeta * w0;
+    } else if (zeta > 1) {
+        const c1 = (v0 - sc.r2 * d0) / (sc.r1 - sc.r2);
+        amp = Math.abs(c1) + Math.abs(d0 - c1);
+        rate = -sc.r1;
+    } else {
+        // (a + b·t)·e^(-w0·t) <= (a + 2b / (e·w0))·e^(-w0·t/2)
+        amp = Math.abs(d0) + 2 * Math.abs(v0 + w0 * d0) / (Math.E * w0);
+        rate = w0 / 2;
+    }
+    if (amp <= SPRING_REST) return 0;
+    return rate > 0 ? Math.log(amp / SPRING_REST) / rate : Infinity;
+}
+
+// One spring-driven value: held at `start` (absorbing the velocity v0 it arrived with) until
+// `delay` seconds, then pulled to `end`
+function springField(start, end, v0, delay, sc) {
+    const [d1, v1] = delay > 0 ? springAt(0, v0, delay, sc) : [0, v0];
+    return { start, end, v0, delay, d2: start + d1 - end, v2: v1 };
+}
+
+// [value, velocity] of a spring field t seconds into the leg
+function springFieldAt(f, t, sc) {
+    if (t < f.delay) {
+        const [d, v] = springAt(0, f.v0, t, sc);
+        return [f.start + d, v];
+    }
+    const [d, v] = springAt(f.d2, f.v2, t - f.delay, sc);
+    return [f.end + d, v];
+}
+
+const springFieldSettle = (f, sc) => f.delay + springSettle(f.d2, f.v2, sc);
+
+// -----------------------------------------------------------------------------
+// Legs
+// -----------------------------------------------------------------------------
+
+// Spring legs are built once per (source cards, target cards, settings), like matchCards
+const springLegs = new WeakMap(); // fromCards -> { toCards, tr, fromCam, leg }
+
+// The springs of transition from -> toKF: { sc, cards: [{ start, end, fields, turn }], camera, settleMs }.
+// Either end is a keyframe or a live pose { cards, camera }; `from` entries may carry `vel`.
+function springLeg(ctx, from, toKF, tr) {
+    const fromCards = from.cards || layoutCards(ctx, from);
+    const toCards = toKF.cards || layoutCards(ctx, toKF);
+    const fromCam = from.cards ? from.camera : cameraOf(from);
+    const memo = springLegs.get(fromCards);
+    if (memo && memo.toCards === toCards && memo.tr === tr && memo.fromCam === from.camera) return memo.leg;
+
+    const sc = springConstants(tr);
+    // start and end poses of every card; the springs do the timing, so no windows or stagger here
+    const flat = { ...tr, spawnStart: 0, spawnWindow: 0, moveStagger: 0 };
+    const starts = choreograph(fromCards, toCards, 0, flat);
+    const ends = choreograph(fromCards, toCards, 1, flat);
+
+    // the source card of each state: targets in target order, then the collapsing ones
+    const { pairs, collapsed } = matchCards(fromCards, toCards, tr.match);
+    const source = new Array(starts.length);
+    pairs.forEach(p => { source[p.to] = fromCards[p.from]; });
+    collapsed.forEach((from, k) => { source[toCards.length + k] = fromCards[from]; });
+
+    // release order for springStagger
+    const order = (STAGGER_ORDERS[tr.stagger] || STAGGER_ORDERS.index)(ends.map((tc, i) => ({ tc, pos: starts[i], i })));
+    const delay = new Array(starts.length);
+    order.forEach(({ i }, rank) => { delay[i] = rank * tr.springStagger / 1000; });
+
+    const cards = starts.map((start, i) => {
+        const vel = (source[i] && source[i].vel) || {};
+        return {
+            start,
+            end: ends[i],
+            fields: SPRING_FIELDS.map(k => springField(start[k], ends[i][k], vel[k] || 0, delay[i], sc)),
+            turn: springField(0, 1, 0, delay[i], sc) // orientation, colour and face follow this 0 -> 1
+        };
+    });
+
+    const toCam = toKF.cards ? toKF.camera : cameraOf(toKF), camVel = fromCam.vel || {};
+    const camera = {
+        start: fromCam,
+        end: toCam,
+        fields: SPRING_CAMERA_FIELDS.map(k => springField(fromCam[k], toCam[k], camVel[k] || 0, 0, sc)),
+        turn: springField(0, 1, 0, 0, sc)
+    };
+
+    let settle = 0;
+    [...cards, camera].forEach(c => [...c.fields, c.turn].forEach(f => { settle = Math.max(settle, springFieldSettle(f, sc)); }));
+    const leg = { sc, cards, camera, settleMs: Math.min(SPRING_MAX_MS, Math.ceil(settle * 1000)) };
+    springLegs.set(fromCards, { toCards, tr, fromCam: from.camera, leg });
+    return leg;
+}
+
+function springCardAt(c, t, sc, tr) {
+    const state = { ...c.end };
+    SPRING_FIELDS.forEach((k, n) => { state[k] = springFieldAt(c.fields[n], t, sc)[0]; });
+    ['w', 'h', 'd'].forEach(k => { state[k] = Math.max(0, state[k]); });
+    state.alive = clamp(state.alive, 0, 1);
+    const q = springFieldAt(c.turn, t, sc)[0];
+    Object.assign(state, slerpRotation(c.start, c.end, q, tr.cardSpin));
+    state.stroke = mixColors(c.start.stroke, c.end.stroke, clamp(q, 0, 1));
+    state.face = q < 0.5 ? c.start.face : c.end.face;
+    return state;
+}
+
+// Cards and camera `ms` into the spring transition from -> toKF (same shape as transitionFrame)
+function springFrame(ctx, from, toKF, ms, tr) {
+    const leg = springLeg(ctx, from, toKF, tr);
+    const t = Math.max(0, ms) / 1000;
+    const cards = leg.cards.map(c => springCardAt(c, t, leg.sc, tr));
+
+    const cam = leg.camera;
+    const camera = {};
+    SPRING_CAMERA_FIELDS.forEach((k, n) => { camera[k] = springFieldAt(cam.fields[n], t, leg.sc)[0]; });
+    camera.zoom = Math.max(camera.zoom, ZOOM_RANGE[0]);
+    const q = springFieldAt(cam.turn, t, leg.sc)[0];
+    Object.assign(camera, slerpRotationDeg(cam.start, cam.end, q, tr.cameraSpin));
+    return { cards, camera };
+}
+
+// Give the cards and camera of a springFrame() result their velocities `ms` into the leg
+// (sign -1: the leg is being played backwards)
+function attachSpringVelocities(leg, ms, frame, sign = 1) {
+    const t = Math.max(0, ms) / 1000;
+    const velocityOf = (fields, keys) => {
+        const vel = {};
+        keys.forEach((k, n) => { vel[k] = sign * springFieldAt(fields[n], t, leg.sc)[1]; });
+        return vel;
+    };
+    frame.cards = frame.cards.map((c, i) => ({ ...c, vel: velocityOf(leg.cards[i].fields, SPRING_FIELDS) }));
+    frame.camera = { ...frame.camera, vel: velocityOf(leg.camera.fields, SPRING_CAMERA_FIELDS) };
+    return frame;
+}
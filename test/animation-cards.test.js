@@ -0,0 +1,35 @@
+// Animation Cards – Instance API tests
+// setKeyframe() (animation-cards.js) keeps the scene one that load() accepts.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInstance } = require('./helpers/load-engine');
+
+// the demo scene: KF2 stacks eight groups, the wheel of KF3 shows group 3
+const shrunk = (ac, n) => {
+    const kf = JSON.parse(JSON.stringify(ac.keyframes[1]));
+    kf.groupSpec.sizes = kf.groupSpec.sizes.slice(0, n);
+    kf.groupSpec.strokeColors = kf.groupSpec.strokeColors.slice(0, n);
+    return kf;
+};
+
+test('setKeyframe: fewer groups before the wheel keep it on a group that exists', () => {
+    const { ac } = createInstance();
+    assert.equal(ac.selectedGroup, 2);
+    ac.setKeyframe(1, shrunk(ac, 2));
+    assert.equal(ac.selectedGroup, 1);
+    assert.doesNotThrow(() => ac.load(ac.getScene()));
+    ac.goTo(2, { immediate: true });
+    assert.ok(ac.cards.length > 0 && ac.cards.every(c => c.groupIndex === 1));
+});
+
+test('setKeyframe: groups the wheel does not draw from leave the selection alone', () => {
+    const { ac } = createInstance();
+    ac.setKeyframe(1, shrunk(ac, 5));
+    assert.equal(ac.selectedGroup, 2);
+    const groupsFirst = { ...shrunk(ac, 1), layout: 'stacked-group' };
+    ac.setKeyframe(0, groupsFirst); // KF2 still comes between it and the wheel
+    assert.equal(ac.selectedGroup, 2);
+});
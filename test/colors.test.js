@@ -0,0 +1,37 @@
+// Animation Cards – Colour helper tests
+// mixColors() (colors.js) blends hex strokes, alpha included; data stroke columns accept the same hex forms.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine, loadScripts } = require('./helpers/load-engine');
+
+const { mixColors } = loadScripts();
+
+test('colors: opaque strokes mix as #rrggbb', () => {
+    assert.equal(mixColors('#000000', '#ffffff', 0.5), '#808080');
+    assert.equal(mixColors('#f00', '#0000ff', 0.25), '#bf0040');
+    assert.equal(mixColors('#ff0000', '#00ff00', 0), '#ff0000');
+    assert.equal(mixColors('#ff0000', '#00ff0080', 1), '#00ff0080');
+});
+
+test('colors: alpha of #rrggbbaa strokes is mixed too', () => {
+    assert.equal(mixColors('#ff000000', '#ff0000ff', 0.5), '#ff000080');
+    assert.equal(mixColors('#3498db', '#3498db00', 0.75), '#3498db40');
+    // back to fully opaque: the plain form again
+    assert.equal(mixColors('#00000080', '#000000', 0.999), '#000000');
+});
+
+test('colors: a data stroke column uses hex values as-is, 8-digit ones too', () => {
+    const engine = loadEngine();
+    const doc = engine.defaultScene();
+    doc.datasets = { 'c.csv': engine.parseDataset('c.csv', 'name,colour\na,#ff000080\nb,#00ff00\nc,#00f\nd,red\ne,red') };
+    doc.keyframes = [{ ...engine.defaultKeyframe(), data: { dataset: 'c.csv', key: 'name', stroke: 'colour' } }];
+    doc.transitions = {};
+    const cards = engine.engineKeyframe(engine.engineScene(doc), 0).cards;
+    assert.deepEqual(cards.slice(0, 3).map(c => c.stroke), ['#ff000080', '#00ff00', '#00f']);
+    // anything else is a category with a palette colour
+    assert.equal(cards[3].stroke, engine.defaultGroupSpec().strokeColors[0]);
+    assert.equal(cards[4].stroke, cards[3].stroke);
+});
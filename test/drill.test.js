@@ -0,0 +1,100 @@
+// Animation Cards – Nested data drill-down tests
+// A JSON tree bound to a stacked-group keyframe and a drilling wheel (data.js, drill.js):
+// the rows each level shows, and drill steps through engine.js.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('./helpers/load-engine');
+
+const engine = loadEngine();
+
+const WORLD = JSON.stringify({
+    name: 'world',
+    children: [
+        { name: 'Europe', children: [
+            { name: 'France', children: [{ name: 'Paris', pop: 2.1 }, { name: 'Lyon', pop: 0.5 }] },
+            { name: 'Italy', children: [{ name: 'Rome', pop: 2.8 }] }
+        ] },
+        { name: 'Asia', children: [
+            { name: 'Japan', children: [{ name: 'Tokyo', pop: 14 }, { name: 'Osaka', pop: 2.7 }] }
+        ] }
+    ]
+});
+
+// KF1 stacks the continents, KF2 is a wheel drilling from a continent into its countries
+function worldScene(transition = {}, drillPath = []) {
+    const doc = engine.defaultScene();
+    const kf = { ...engine.defaultKeyframe(), cardCount: 5 };
+    doc.datasets = { 'world.json': engine.parseDataset('world.json', WORLD) };
+    doc.keyframes = [
+        { ...kf, layout: 'stacked-group', groupSpec: engine.defaultGroupSpec(), data: { dataset: 'world.json', group: 'level1', key: 'name' } },
+        { ...kf, layout: 'wheel', data: { dataset: 'world.json', group: 'level1', key: 'name', drill: ['level2'] } }
+    ];
+    doc.transitions = { '0-1': { duration: 900, ...transition } };
+    doc.selectedGroupForWheel = 0;
+    doc.drillPath = drillPath;
+    return engine.engineScene(doc);
+}
+
+const wheelCards = (scene, drillPath) => engine.engineKeyframe({ ...scene, drillPath }, 1).cards;
+
+test('drill: a JSON tree is flattened into one column per level', () => {
+    const { columns, rows } = engine.parseDataset('world.json', WORLD);
+    assert.deepEqual(columns, ['level1', 'level2', 'name', 'pop']);
+    assert.equal(rows.length, 5);
+    assert.deepEqual(rows[2], { level1: 'Europe', level2: 'Italy', name: 'Rome', pop: 2.8 });
+});
+
+test('drill: the wheel shows the selected group, then the sub-group drilled into', () => {
+    const scene = worldScene();
+    const top = wheelCards(scene, []);
+    assert.deepEqual(top.map(c => c.dataKey), ['Paris', 'Lyon', 'Rome']);
+    assert.deepEqual(top.map(c => c.drillName), ['France', 'France', 'Italy']);
+    // coloured by sub-group
+    assert.equal(top[0].stroke, top[1].stroke);
+    assert.notEqual(top[0].stroke, top[2].stroke);
+
+    const france = wheelCards(scene, ['France']);
+    assert.deepEqual(france.map(c => c.dataKey), ['Paris', 'Lyon']);
+    assert.ok(france.every(c => c.drillName === undefined), 'the last level does not drill');
+    // a path that does not exist under the selected group shows the group itself
+    assert.deepEqual(wheelCards(scene, ['Japan']).map(c => c.dataKey), ['Paris', 'Lyon', 'Rome']);
+});
+
+test('drill: a step down replays the group-to-wheel transition, matching cards by row', () => {
+    const scene = worldScene();
+    const top = wheelCards(scene, []);
+    const start = engine.engineDrill(scene, 1, [], ['France'], 0);
+    // Paris and Lyon leave from where they were on the continent's wheel, Rome collapses
+    ['Paris', 'Lyon', 'Rome'].forEach(key => {
+        const was = top.find(c => c.dataKey === key), now = start.cards.find(c => c.dataKey === key);
+        ['x', 'y', 'z'].forEach(f => assert.ok(Math.abs(now[f] - was[f]) < 1e-9, `${key}.${f}`));
+    });
+    assert.equal(engine.engineDrill(scene, 1, [], ['France'], 899).done, false);
+    const end = engine.engineDrill(scene, 1, [], ['France'], 900);
+    assert.equal(end.done, true);
+    assert.equal(end.cards.find(c => c.dataKey === 'Rome').alive, 0);
+});
+
+for (const mode of ['tween', 'spring']) {
+    test(`drill: backing up plays the way down backwards (${mode})`, () => {
+        const scene = worldScene({ mode, easing: 'easeInOutCubic' });
+        // first ms the step down is done: its length (a spring's settling time is whole ms)
+        let lo = 0, duration = 20000;
+        while (lo < duration) {
+            const mid = Math.floor((lo + duration) / 2);
+            if (engine.engineDrill(scene, 1, [], ['France'], mid).done) duration = mid; else lo = mid + 1;
+        }
+        [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+            const ms = Math.round(f * duration);
+            const down = engine.engineDrill(scene, 1, [], ['France'], duration - ms).cards;
+            const up = engine.engineDrill(scene, 1, ['France'], [], ms).cards;
+            assert.equal(up.length, down.length);
+            up.forEach((c, i) => ['x', 'y', 'z', 'rotY', 'alive'].forEach(k => {
+                assert.ok(Math.abs(c[k] - down[i][k]) < 1e-6, `${ms} ms: card ${i}.${k} ${c[k]} vs ${down[i][k]}`);
+            }));
+        });
+    });
+}
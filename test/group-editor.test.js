@@ -0,0 +1,35 @@
+// Animation Cards – Group editor tests
+// remapSelectedGroup() (group-editor.js): which keyframe's group edits move the wheel's group.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-engine');
+
+const { remapSelectedGroup } = loadScripts(['group-editor']);
+
+// KF1 and KF3 stack groups; the wheel KF4 draws from KF3, the nearest group keyframe before it
+const scene = (selectedGroup) => ({
+    selectedGroup,
+    keyframes: ['stacked-group', 'grid', 'stacked-group', 'wheel'].map(layout => ({ layout }))
+});
+const swap01 = (i) => (i === 0 ? 1 : i === 1 ? 0 : i);
+
+test('group editor: only edits of the keyframe feeding the wheel remap its group', () => {
+    const ac = scene(0);
+    remapSelectedGroup(ac, 0, swap01, 3);
+    assert.equal(ac.selectedGroup, 0, 'KF1 is not what the wheel shows');
+    remapSelectedGroup(ac, 2, swap01, 3);
+    assert.equal(ac.selectedGroup, 1);
+    // removing the selected group falls back to the same index, clamped to the groups left
+    const last = scene(2);
+    remapSelectedGroup(last, 2, i => (i === 2 ? null : i), 2);
+    assert.equal(last.selectedGroup, 1);
+});
+
+test('group editor: without a wheel keyframe nothing is remapped', () => {
+    const ac = { selectedGroup: 2, keyframes: [{ layout: 'stacked-group' }, { layout: 'grid' }] };
+    remapSelectedGroup(ac, 0, () => 0, 3);
+    assert.equal(ac.selectedGroup, 2);
+});
@@ -0,0 +1,55 @@
+// Animation Cards – Engine loader for Node
+// The engine is made of plain browser scripts sharing one global scope (see index.html). This
+// runs the ones engine.js and the vector export need, in page order, inside a fresh vm context and hands back the
+// engine functions. Results are copied out as plain JSON so node:assert compares them like
+// values made in the test's own realm.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ENGINE_SCRIPTS = [
+    'numeric', 'colors', 'layouts', 'easing', 'rotation', 'choreography', 'spring', 'timeline',
+    'vector-export', 'data', 'faces', 'scene', 'picking', 'camera', 'drill', 'sketch', 'engine'
+];
+
+// helpers the tests call besides the engine functions
+const ENGINE_API = [
+    'engineScene', 'engineKeyframe', 'engineTransition', 'engineLivePose', 'engineTimeline',
+    'defaultScene', 'defaultKeyframe', 'defaultGroupSpec', 'layoutNames', 'getLayout',
+    'groupCounts', 'getTransition', 'matchCards', 'layoutCards', 'turnWheel', 'engineDrill',
+    'parseDataset', 'vectorFrame', 'frameToSVG', 'frameToPDF', 'pointerRay'
+];
+
+const plain = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+// A fresh context running the engine scripts, then `extra` ones (e.g. editor scripts, with the
+// browser globals they need in `globals`)
+function loadScripts(extra = [], globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    for (const name of [...ENGINE_SCRIPTS, ...extra]) {
+        const file = path.join(__dirname, '..', '..', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    }
+    return context;
+}
+
+function loadEngine() {
+    const context = loadScripts();
+    const engine = {};
+    for (const name of ENGINE_API) {
+        engine[name] = (...args) => plain(context[name](...args));
+    }
+    return engine;
+}
+
+// An AnimationCards instance (animation-cards.js) without a page: its p5 is a stand-in that never
+// draws, so tests drive the clock and evaluate frames themselves. Returns { ac, context }.
+function createInstance(scene = undefined, options = {}) {
+    const context = loadScripts(['wheel', 'accessibility', 'animation-cards', 'group-editor'], { p5: class { remove() {} } });
+    const create = vm.runInContext('(scene, options) => new AnimationCards({}, scene, options)', context);
+    const ac = create(scene && plain(scene), { keyboard: false, breadcrumbs: false, reducedMotion: 'never', ...options });
+    return { ac, context };
+}
+
+module.exports = { loadEngine, loadScripts, createInstance, ENGINE_SCRIPTS };
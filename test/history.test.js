@@ -0,0 +1,40 @@
+// Animation Cards – Edit history tests
+// Which keydowns the undo / redo shortcuts of history.js answer to.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-engine');
+
+// stand-ins for the page: elements are plain objects, contains() follows `parent`
+const element = (parent = null) => ({
+    parent,
+    contains(other) {
+        for (let el = other; el; el = el.parent) if (el === this) return true;
+        return false;
+    }
+});
+const body = element();
+const container = element(body), canvas = element(container), sidePanel = element(body);
+const ed = { ac: { container }, $: (id) => (id === 'sidePanel' ? sidePanel : element(body)) };
+
+const { historyKeyAction } = loadScripts(['history'], { document: { body } });
+const press = (key, target, mods = {}) => historyKeyAction(ed, { key, target, ctrlKey: true, ...mods });
+
+test('history keys: Ctrl+Z undoes while the instance container has the focus', () => {
+    assert.equal(press('z', container), 'undo');
+    assert.equal(press('Z', container, { shiftKey: true }), 'redo');
+    assert.equal(press('y', container), 'redo');
+    assert.equal(press('z', canvas), 'undo');
+});
+
+test('history keys: the page, the side panel and Cmd count; other widgets and plain keys do not', () => {
+    assert.equal(press('z', body), 'undo');
+    assert.equal(press('z', element(sidePanel)), 'undo');
+    assert.equal(press('z', container, { ctrlKey: false, metaKey: true }), 'undo');
+    assert.equal(press('z', element(body)), null, 'an input of the embedding page');
+    assert.equal(press('z', container, { ctrlKey: false }), null);
+    assert.equal(press('z', container, { altKey: true }), null);
+    assert.equal(press('x', container), null);
+});
@@ -0,0 +1,162 @@
+// Animation Cards – Layout tests
+// Every registered layout places the requested number of cards, deterministically, with finite
+// numbers and no two cards in the same pose; the built-ins also keep their own geometry.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('./helpers/load-engine');
+
+const engine = loadEngine();
+
+const NUMERIC_FIELDS = ['x', 'y', 'z', 'rotX', 'rotY', 'rotZ', 'w', 'h', 'd'];
+
+function cardsFor(kf, selectedGroup = 2) {
+    const doc = engine.defaultScene();
+    doc.keyframes = [kf];
+    doc.transitions = {};
+    doc.selectedGroupForWheel = selectedGroup;
+    return engine.engineKeyframe(engine.engineScene(doc), 0).cards;
+}
+
+function keyframeWith(layout, fields = {}) {
+    return {
+        ...engine.defaultKeyframe(),
+        layout,
+        groupSpec: layout === 'stacked-group' ? engine.defaultGroupSpec() : null,
+        ...fields
+    };
+}
+
+const poseKey = (c) => NUMERIC_FIELDS.slice(0, 6).map(f => c[f].toFixed(4)).join(',');
+
+for (const layout of engine.layoutNames()) {
+    test(`${layout}: places cardCount cards in distinct, finite poses`, () => {
+        for (const cardCount of [1, 7, 50]) {
+            const cards = cardsFor(keyframeWith(layout, { cardCount }));
+            assert.equal(cards.length, cardCount);
+            cards.forEach((c, i) => NUMERIC_FIELDS.forEach(f => {
+                assert.ok(Number.isFinite(c[f]), `card ${i}.${f} = ${c[f]}`);
+            }));
+            assert.equal(new Set(cards.map(poseKey)).size, cardCount, 'two cards share a pose');
+        }
+    });
+
+    test(`${layout}: is deterministic`, () => {
+        const kf = keyframeWith(layout, { cardCount: 30 });
+        assert.deepEqual(cardsFor(kf), cardsFor({ ...kf }));
+    });
+}
+
+test('stacked-random: cards stand on the floor, cardSpacing apart, with heights in range', () => {
+    const kf = keyframeWith('stacked-random', { cardCount: 40, cardHeight: 20, cardSpacing: 1.5, heightMin: 0.5, heightMax: 2 });
+    const cards = cardsFor(kf);
+    cards.forEach((c, i) => {
+        if (i > 0) assert.ok(Math.abs(c.z - cards[i - 1].z - 1.5) < 1e-9);
+        assert.ok(c.h >= 20 * 0.5 * 0.5 - 1e-9 && c.h <= 20 * 0.5 * 2 + 1e-9, `height ${c.h}`);
+        assert.ok(Math.abs(c.y + c.h / 2) < 1e-9, 'bottom edge on y = 0');
+    });
+    const other = cardsFor({ ...kf, seed: 2 });
+    assert.notDeepEqual(other.map(c => c.h), cards.map(c => c.h), 'the seed changes the heights');
+});
+
+test('stacked-group: group sizes, colours and wheel order of the selected group', () => {
+    const spec = engine.defaultGroupSpec();
+    const kf = keyframeWith('stacked-group', { cardCount: 50, groupSpec: spec });
+    const cards = cardsFor(kf, 3);
+    const sizes = engine.groupCounts(spec, 50);
+    assert.equal(sizes.reduce((a, b) => a + b, 0), 50);
+    sizes.forEach((n, g) => {
+        const inGroup = cards.filter(c => c.groupIndex === g);
+        assert.equal(inGroup.length, n, `group ${g}`);
+        inGroup.forEach(c => assert.equal(c.stroke, spec.strokeColors[g]));
+    });
+    const selected = cards.filter(c => c.wheelIndex !== undefined);
+    assert.ok(selected.every(c => c.groupIndex === 3));
+    assert.deepEqual(selected.map(c => c.wheelIndex), selected.map((_, i) => i));
+});
+
+test('wheel: cards on a circle around the origin, in the selected group', () => {
+    const cards = cardsFor(keyframeWith('wheel', { cardCount: 24 }), 5);
+    const radius = Math.hypot(cards[0].x, cards[0].z);
+    cards.forEach((c, i) => {
+        assert.ok(Math.abs(Math.hypot(c.x, c.z) - radius) < 1e-9);
+        assert.equal(c.groupIndex, 5);
+        assert.equal(c.wheelIndex, i);
+    });
+});
+
+test('wheel: radius, auto-fit, arc sweep and start angle', () => {
+    const fixed = cardsFor(keyframeWith('wheel', { cardCount: 24, wheelRadius: 25 }));
+    fixed.forEach(c => assert.ok(Math.abs(Math.hypot(c.x, c.z) - 25) < 1e-9));
+
+    // auto-fit: the inner ends of the cards are cardThickness + cardSpacing apart
+    const kf = keyframeWith('wheel', { cardCount: 60, wheelRadius: 0 });
+    const fitted = cardsFor(kf);
+    const inner = Math.hypot(fitted[0].x, fitted[0].z) - kf.cardWidth / 2;
+    assert.ok(Math.abs(inner * 2 * Math.PI / 60 - (kf.cardThickness + kf.cardSpacing)) < 1e-9);
+
+    const arc = cardsFor(keyframeWith('wheel', { cardCount: 12, wheelSweep: 90, wheelStart: 45 }));
+    arc.forEach(c => {
+        const deg = Math.atan2(c.z, c.x) * 180 / Math.PI;
+        assert.ok(deg > 45 && deg < 135, `${deg}° is outside the arc`);
+    });
+});
+
+test('wheel: tilt, concentric rings and turning', () => {
+    const tilted = cardsFor(keyframeWith('wheel', { cardCount: 16, wheelTilt: 30 }));
+    const a = 30 * Math.PI / 180, normal = { y: Math.cos(a), z: Math.sin(a) };
+    const level = (c) => c.y * normal.y + c.z * normal.z;
+    tilted.forEach(c => {
+        assert.ok(Math.abs(level(c) - level(tilted[0])) < 1e-9, 'all cards in the tilted plane');
+        assert.ok(Math.abs(c.rotX - a) < 1e-12);
+    });
+
+    const kf = keyframeWith('wheel', { cardCount: 60, wheelRings: 3 });
+    const ringed = cardsFor(kf);
+    const radii = ringed.map(c => Math.hypot(c.x, c.z).toFixed(6));
+    const perRing = [...new Set(radii)].map(r => radii.filter(x => x === r).length);
+    assert.equal(perRing.length, 3);
+    assert.equal(perRing.reduce((s, n) => s + n, 0), 60);
+    assert.ok(perRing[0] < perRing[2], 'outer rings hold more cards');
+    assert.deepEqual(ringed.map(c => c.wheelIndex), ringed.map((_, i) => i));
+
+    const turned = engine.turnWheel(tilted, keyframeWith('wheel', { wheelTilt: 30 }), 90);
+    turned.forEach((c, i) => {
+        const o = tilted[i];
+        assert.ok(Math.abs(Math.hypot(c.x, c.y, c.z) - Math.hypot(o.x, o.y, o.z)) < 1e-9);
+        assert.ok(Math.abs(level(c) - level(o)) < 1e-9, 'stays in the wheel plane');
+        assert.ok(Math.abs(c.rotY - (o.rotY - Math.PI / 2)) < 1e-12);
+    });
+});
+
+test('grid: columns and planes', () => {
+    const wall = cardsFor(keyframeWith('grid', { cardCount: 12, gridColumns: 4 }));
+    assert.equal(new Set(wall.map(c => c.x.toFixed(4))).size, 4);
+    assert.equal(new Set(wall.map(c => c.y.toFixed(4))).size, 3);
+    assert.ok(wall.every(c => c.z === wall[0].z), 'a wall stands in one plane');
+
+    const floor = cardsFor(keyframeWith('grid', { cardCount: 12, gridColumns: 4, gridPlane: 'floor' }));
+    assert.equal(new Set(floor.map(c => c.z.toFixed(4))).size, 3);
+    assert.ok(floor.every(c => Math.abs(c.y + c.h / 2) < 1e-9), 'floor rows stand on y = 0');
+});
+
+test('spiral: the radius grows with the angle', () => {
+    const cards = cardsFor(keyframeWith('spiral', { cardCount: 30 }));
+    const radii = cards.map(c => Math.hypot(c.x, c.z));
+    radii.slice(1).forEach((r, i) => assert.ok(r > radii[i]));
+});
+
+test('fan: cards spread symmetrically across the sweep', () => {
+    const cards = cardsFor(keyframeWith('fan', { cardCount: 9, fanSweep: 90 }));
+    assert.ok(Math.abs(cards[0].rotZ + Math.PI / 4) < 1e-9);
+    assert.ok(Math.abs(cards[8].rotZ - Math.PI / 4) < 1e-9);
+    assert.ok(Math.abs(cards[4].x) < 1e-9);
+});
+
+test('helix: cards climb at a constant radius', () => {
+    const cards = cardsFor(keyframeWith('helix', { cardCount: 20, helixRadius: 30 }));
+    cards.forEach(c => assert.ok(Math.abs(Math.hypot(c.x, c.z) - 30) < 1e-9));
+    cards.slice(1).forEach((c, i) => assert.ok(c.y < cards[i].y, 'each card sits higher (smaller y)'));
+});
@@ -0,0 +1,36 @@
+// Animation Cards – Shareable link tests
+// encodeSceneLink() / decodeSceneLink() (permalink.js): scenes round-trip through the URL
+// fragment, and scenes too big for a URL are refused.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-engine');
+
+const ctx = loadScripts(['permalink'], {
+    TextEncoder, TextDecoder, CompressionStream, DecompressionStream, Response, Blob, btoa, atob
+});
+
+// what serializeScene() reads of an instance
+function instance(datasets = {}) {
+    const doc = ctx.defaultScene();
+    return { keyframes: doc.keyframes, transitions: {}, selectedGroup: 0, drillPath: [], datasets, currentKF: 1 };
+}
+
+test('permalink: a scene and its keyframe round-trip through the fragment', async () => {
+    const fragment = await ctx.encodeSceneLink(instance());
+    assert.match(fragment, /^z=[A-Za-z0-9_-]+$/);
+    const { doc, keyframe } = await ctx.decodeSceneLink('#' + fragment);
+    assert.equal(keyframe, 1);
+    assert.equal(doc.keyframes.length, ctx.defaultScene().keyframes.length);
+});
+
+test('permalink: a scene whose datasets do not fit in a URL gets no link', async () => {
+    // rows that deflate poorly, well past the limit
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const rows = Array.from({ length: 4000 }, (_, i) => ({ name: `row ${i}`, value: random() }));
+    const ac = instance({ 'big.csv': { columns: ['name', 'value'], rows } });
+    await assert.rejects(ctx.encodeSceneLink(ac), /KB link, over the 32 KB limit \(its datasets are part of the link\)/);
+});
@@ -0,0 +1,48 @@
+// Animation Cards – Rotation interpolation tests
+// slerpRotation() (rotation.js) and the cards of a transition follow easings that overshoot past either end.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine, loadScripts } = require('./helpers/load-engine');
+
+const { slerpRotation, slerpRotationDeg, makeEasing } = loadScripts();
+const near = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+test('rotation: a back easing overshoots the turn like it overshoots the move', () => {
+    const from = { rotX: 0, rotY: 0, rotZ: 0 }, to = { rotX: 0, rotY: 1, rotZ: 0 };
+    const easeOut = makeEasing({ easing: 'easeOutBack' }), easeIn = makeEasing({ easing: 'easeInBack' });
+    const past = easeOut(0.7), before = easeIn(0.3);
+    assert.ok(past > 1 && before < 0);
+    const r = slerpRotation(from, to, past);
+    assert.ok(near(r.rotY, past) && near(r.rotX, 0) && near(r.rotZ, 0), `rotY ${r.rotY} at t = ${past}`);
+    assert.ok(near(slerpRotation(from, to, before).rotY, before));
+    // camera angles, in degrees
+    const cam = slerpRotationDeg({ rotX: 0, rotY: 0, rotZ: 0 }, { rotX: 0, rotY: 60, rotZ: 0 }, past);
+    assert.ok(near(cam.rotY, 60 * past, 1e-6), `camera rotY ${cam.rotY}`);
+});
+
+test('rotation: the ends are returned untouched', () => {
+    const from = { rotX: 0, rotY: 6, rotZ: 0 }, to = { rotX: 0.5, rotY: 0, rotZ: 0 };
+    assert.equal(slerpRotation(from, to, 0).rotY, 6);
+    assert.equal(slerpRotation(from, to, 1).rotX, 0.5);
+});
+
+test('rotation: cards eased with back overshoot their turn along with their move', () => {
+    const engine = loadEngine();
+    const doc = engine.defaultScene();
+    const kf = { ...engine.defaultKeyframe(), cardCount: 12 };
+    doc.keyframes = [{ ...kf, layout: 'grid' }, { ...kf, layout: 'wheel' }];
+    doc.transitions = { '0-1': { easing: 'easeOutBack', duration: 1000 } };
+    const scene = engine.engineScene(doc);
+    const from = engine.engineKeyframe(scene, 0).cards, to = engine.engineKeyframe(scene, 1).cards;
+    const { cards, t } = engine.engineTransition(scene, 0, 1, 700);
+    assert.ok(t > 1);
+    const turned = cards.filter((c, i) => to[i].rotY !== 0 && Math.abs(to[i].rotY) < 1.2);
+    assert.ok(turned.length > 0);
+    cards.forEach((c, i) => {
+        assert.ok(near(c.x, from[i].x + (to[i].x - from[i].x) * t, 1e-6), `card ${i}.x`);
+        if (Math.abs(to[i].rotY) < 1.2) assert.ok(near(c.rotY, to[i].rotY * t, 1e-6), `card ${i}.rotY ${c.rotY}`);
+    });
+});
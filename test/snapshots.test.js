@@ -0,0 +1,70 @@
+// Animation Cards – Card state snapshots
+// Card states and camera of the demo scene at fixed points of each of its transitions, compared
+// with test/snapshots/default-scene.json. After an intended change of the engine's output,
+// rewrite the file and review its diff:
+//
+//     UPDATE_SNAPSHOTS=1 npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadEngine } = require('./helpers/load-engine');
+
+const engine = loadEngine();
+
+const SNAPSHOT_FILE = path.join(__dirname, 'snapshots', 'default-scene.json');
+const SNAPSHOT_TIMES = [0, 250, 500, 750, 1000]; // ms into each transition
+const CARD_FIELDS = ['x', 'y', 'z', 'rotX', 'rotY', 'rotZ', 'w', 'h', 'd', 'alive'];
+const CAMERA_FIELDS = ['zoom', 'rotX', 'rotY', 'rotZ', 'targetX', 'targetY', 'targetZ'];
+
+// rounded so the file survives harmless floating-point noise
+const round = (v) => Math.round(v * 1000) / 1000 + 0; // + 0 turns -0 into 0
+
+// One compact row per card: the numeric fields, then stroke and group
+const cardRow = (c) => [...CARD_FIELDS.map(f => round(c[f] ?? 0)), c.stroke, c.groupIndex ?? 0];
+
+function takeSnapshots() {
+    const scene = engine.engineScene(engine.defaultScene());
+    const n = scene.keyframes.length;
+    const snaps = {};
+    for (let from = 0; from < n; from++) {
+        const to = (from + 1) % n;
+        for (const ms of SNAPSHOT_TIMES) {
+            const { cards, camera } = engine.engineTransition(scene, from, to, ms);
+            snaps[`KF${from + 1}->KF${to + 1} @ ${ms}ms`] = {
+                camera: CAMERA_FIELDS.map(f => round(camera[f])),
+                cards: cards.map(cardRow)
+            };
+        }
+    }
+    return snaps;
+}
+
+// JSON with one line per card, so a change shows up as a readable diff
+function formatSnapshots(snaps) {
+    const entries = Object.entries(snaps).map(([name, { camera, cards }]) => [
+        `  ${JSON.stringify(name)}: {`,
+        `    "camera": ${JSON.stringify(camera)},`,
+        '    "cards": [',
+        cards.map(row => '      ' + JSON.stringify(row)).join(',\n'),
+        '    ]',
+        '  }'
+    ].join('\n'));
+    return `{\n${entries.join(',\n')}\n}\n`;
+}
+
+test('demo scene card states match the snapshots', () => {
+    const actual = takeSnapshots();
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+        fs.writeFileSync(SNAPSHOT_FILE, formatSnapshots(actual));
+        return;
+    }
+    assert.ok(fs.existsSync(SNAPSHOT_FILE), 'no snapshot file yet: run with UPDATE_SNAPSHOTS=1');
+    const expected = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+    assert.deepEqual(Object.keys(actual), Object.keys(expected));
+    for (const name of Object.keys(expected)) {
+        assert.deepEqual(actual[name], expected[name], name);
+    }
+});
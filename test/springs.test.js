@@ -0,0 +1,92 @@
+// Animation Cards – Spring transition tests
+// Spring mode (spring.js) through engine.js: settling, move-dependent length, momentum kept
+// across a retarget and per-card stagger.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('./helpers/load-engine');
+
+const engine = loadEngine();
+
+const SPRING = { mode: 'spring', stiffness: 170, damping: 20, mass: 1 };
+
+// Two grid keyframes of `count` cards, the second `gap` apart
+function gridScene(count, gap, transition = {}) {
+    const doc = engine.defaultScene();
+    const kf = { ...engine.defaultKeyframe(), layout: 'grid', cardCount: count, gridGap: 2 };
+    doc.keyframes = [kf, { ...kf, gridGap: gap }];
+    doc.transitions = { '0-1': { ...SPRING, ...transition } };
+    return engine.engineScene(doc);
+}
+
+// Milliseconds until engineTransition() reports done (the settling time)
+function settleMs(scene, from = 0, to = 1, start = null) {
+    let ms = 0;
+    while (!engine.engineTransition(scene, from, to, ms, {}, start).done) ms += 50;
+    return ms;
+}
+
+test('spring: cards overshoot, then settle on the target keyframe', () => {
+    const scene = gridScene(12, 30);
+    const end = engine.engineKeyframe(scene, 1).cards;
+    const ms = settleMs(scene);
+    const settled = engine.engineTransition(scene, 0, 1, ms).cards;
+    settled.forEach((c, i) => {
+        ['x', 'y', 'z', 'w', 'h'].forEach(f => assert.ok(Math.abs(c[f] - end[i][f]) < 0.02, `card ${i}.${f}`));
+        assert.equal(c.alive, 1);
+    });
+
+    // under-damped: the last card runs past its target on the way
+    const last = end.length - 1, startX = engine.engineKeyframe(scene, 0).cards[last].x;
+    const dir = Math.sign(end[last].x - startX);
+    let beyond = 0;
+    for (let t = 0; t < ms; t += 20) beyond = Math.max(beyond, dir * (engine.engineTransition(scene, 0, 1, t).cards[last].x - end[last].x));
+    assert.ok(beyond > 0.5, `overshoot ${beyond}`);
+});
+
+test('spring: a long move takes longer than a short one', () => {
+    const short = settleMs(gridScene(12, 3));
+    const long = settleMs(gridScene(12, 40));
+    assert.ok(long > short, `${long} ms vs ${short} ms`);
+});
+
+test('spring: a retargeted transition keeps every card\'s velocity', () => {
+    const scene = gridScene(12, 30);
+    const pose = engine.engineLivePose(scene, 0, 1, 150);
+    const before = engine.engineTransition(scene, 0, 1, 150).cards;
+    // turn back to KF1 from the live pose: no jump, and the cards keep moving the way they were
+    const back = (ms) => engine.engineTransition(scene, 1, 0, ms, {}, pose).cards;
+    back(0).forEach((c, i) => assert.ok(Math.abs(c.x - before[i].x) < 1e-9, `card ${i} jumped`));
+    pose.cards.forEach((c, i) => {
+        const speed = (back(1)[i].x - back(0)[i].x) * 1000;
+        assert.ok(Math.abs(speed - c.vel.x) < 0.05 * Math.abs(c.vel.x) + 0.5, `card ${i}: ${speed} vs ${c.vel.x}`);
+    });
+    const fastest = pose.cards.reduce((a, c) => Math.max(a, Math.abs(c.vel.x)), 0);
+    assert.ok(fastest > 10, 'the cards were moving when retargeted');
+    // the momentum is carried away from KF1 first, so the way back takes longer than from rest
+    const still = { cards: pose.cards.map(({ vel, ...c }) => c), camera: pose.camera };
+    assert.ok(settleMs(scene, 1, 0, pose) > settleMs(scene, 1, 0, still));
+});
+
+test('spring: springStagger lets the cards go one after another', () => {
+    const scene = gridScene(6, 30, { springStagger: 100 });
+    const start = engine.engineKeyframe(scene, 0).cards;
+    const at = engine.engineTransition(scene, 0, 1, 250).cards;
+    assert.notEqual(at[0].x, start[0].x);
+    assert.notEqual(at[2].x, start[2].x);
+    [3, 4, 5].forEach(i => assert.equal(at[i].x, start[i].x, `card ${i} still waits`));
+    const unstaggered = settleMs(gridScene(6, 30));
+    assert.ok(settleMs(scene) >= unstaggered + 400, 'the last card lets go 500 ms late');
+});
+
+test('spring settings are validated', () => {
+    const doc = engine.defaultScene();
+    doc.transitions = { '0-1': { mode: 'bouncy' } };
+    assert.throws(() => engine.engineScene(doc), /mode must be/);
+    doc.transitions = { '0-1': { mode: 'spring', stiffness: 0 } };
+    assert.throws(() => engine.engineScene(doc), /stiffness must be a positive number/);
+    doc.transitions = { '0-1': { mode: 'spring', damping: -1 } };
+    assert.throws(() => engine.engineScene(doc), /damping must be a non-negative number/);
+});
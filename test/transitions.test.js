@@ -0,0 +1,210 @@
+// Animation Cards – Transition tests
+// Spawn / collapse counts over time, the stacked-group -> wheel choreography, the reduced-motion
+// cross-fade and the playback timeline of engine.js.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine, createInstance } = require('./helpers/load-engine');
+
+const engine = loadEngine();
+
+const LINEAR = { easing: 'linear', duration: 1000 }; // ms == thousandths of the timeline
+const visible = (cards) => cards.filter(c => c.alive > 0).length;
+const near = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+
+// Two-keyframe scene: KF1 with `fromCount` cards, KF2 with `toCount`, both stacked-random
+function countScene(fromCount, toCount, transition = {}) {
+    const doc = engine.defaultScene();
+    const kf = engine.defaultKeyframe();
+    doc.keyframes = [{ ...kf, cardCount: fromCount }, { ...kf, cardCount: toCount, seed: 7 }];
+    doc.transitions = { '0-1': { ...LINEAR, ...transition } };
+    return engine.engineScene(doc);
+}
+
+test('growing: matched cards stay, new cards spawn one after another from spawnStart', () => {
+    const scene = countScene(10, 25);
+    const at = (ms) => engine.engineTransition(scene, 0, 1, ms).cards;
+
+    assert.equal(at(0).length, 25);
+    assert.equal(visible(at(0)), 10);
+    assert.equal(visible(at(600)), 10, 'nothing spawns before spawnStart (0.6)');
+    let last = 10;
+    for (let ms = 600; ms <= 1000; ms += 25) {
+        const n = visible(at(ms));
+        assert.ok(n >= last, `visible cards never drop (${ms} ms)`);
+        last = n;
+    }
+    assert.equal(visible(at(1000)), 25);
+    assert.ok(at(1000).every(c => c.alive === 1));
+    // spawn order follows the stagger order (index): a later card is never ahead of an earlier one
+    const mid = at(850).slice(10).map(c => c.alive);
+    mid.slice(1).forEach((a, i) => assert.ok(a <= mid[i]));
+});
+
+test('shrinking: surplus cards collapse within collapseWindow and stay in the list', () => {
+    const scene = countScene(30, 12, { collapseWindow: 0.25 });
+    const at = (ms) => engine.engineTransition(scene, 0, 1, ms).cards;
+
+    assert.equal(at(0).length, 30, '12 targets followed by 18 collapsing cards');
+    assert.equal(visible(at(0)), 30);
+    assert.ok(visible(at(125)) === 30 && at(125).slice(12).every(c => c.alive < 1), 'half-way through the window');
+    assert.equal(visible(at(250)), 12);
+    assert.equal(visible(at(1000)), 12);
+});
+
+test('equal counts: every card is matched, none spawns or collapses', () => {
+    const scene = countScene(20, 20);
+    for (const ms of [0, 300, 700, 1000]) {
+        const cards = engine.engineTransition(scene, 0, 1, ms).cards;
+        assert.equal(cards.length, 20);
+        assert.equal(visible(cards), 20);
+    }
+});
+
+test('spawn and collapse counts follow the matcher', () => {
+    // "group" match pairs cards of the same group; stacked-random cards are all group 0
+    const scene = countScene(8, 5, { match: 'group' });
+    const end = engine.engineTransition(scene, 0, 1, 1000).cards;
+    assert.equal(end.length, 8);
+    assert.equal(visible(end), 5);
+});
+
+// -----------------------------------------------------------------------------
+// stacked-group -> wheel
+// -----------------------------------------------------------------------------
+
+function wheelScene(selectedGroup) {
+    const doc = engine.defaultScene();
+    doc.selectedGroupForWheel = selectedGroup;
+    doc.transitions['1-2'] = { ...LINEAR };
+    return engine.engineScene(doc);
+}
+
+for (const selectedGroup of [0, 2, 7]) {
+    test(`group to wheel: group ${selectedGroup + 1} takes its wheel slots, the others fold away`, () => {
+        const scene = wheelScene(selectedGroup);
+        const stacked = engine.engineKeyframe(scene, 1).cards;
+        const wheel = engine.engineKeyframe(scene, 2).cards;
+        const groupSize = engine.groupCounts(scene.keyframes[1].groupSpec, 50)[selectedGroup];
+        assert.equal(engine.getTransition(scene, 1, 2).match, 'wheel', 'layout pair choreography applies');
+
+        const start = engine.engineTransition(scene, 1, 2, 0).cards;
+        const end = engine.engineTransition(scene, 1, 2, 1000).cards;
+        const folding = 50 - groupSize;
+        assert.equal(start.length, wheel.length + folding);
+
+        // the selected group's k-th card starts where it stood and ends in wheel slot k
+        stacked.filter(c => c.groupIndex === selectedGroup).forEach(c => {
+            const k = c.wheelIndex;
+            ['x', 'y', 'z'].forEach(f => {
+                assert.ok(near(start[k][f], c[f]), `slot ${k}.${f} starts on the stack`);
+                assert.ok(near(end[k][f], wheel[k][f]), `slot ${k}.${f} ends on the wheel`);
+            });
+            assert.equal(start[k].alive, 1);
+        });
+
+        // the rest of the wheel spawns, the other groups fold away
+        assert.equal(visible(start), 50);
+        assert.equal(visible(end), wheel.length);
+        assert.ok(end.slice(wheel.length).every(c => c.alive === 0));
+        end.slice(0, wheel.length).forEach((c, i) => {
+            assert.ok(near(c.x, wheel[i].x) && near(c.z, wheel[i].z), `wheel slot ${i}`);
+            assert.equal(c.stroke, wheel[i].stroke, 'strokes blend to the wheel colours');
+            assert.equal(c.groupIndex, selectedGroup);
+        });
+    });
+}
+
+test('group to wheel: the selected group must be one of the stack the wheel draws from', () => {
+    const groups = engine.defaultScene().keyframes[1].groupSpec.sizes.length;
+    assert.doesNotThrow(() => wheelScene(groups - 1));
+    assert.throws(() => wheelScene(groups), new RegExp(`selectedGroupForWheel ${groups} is not one of the ${groups} groups`));
+    // without a wheel there is nothing to check
+    const doc = engine.defaultScene();
+    doc.keyframes = doc.keyframes.slice(0, 2);
+    doc.transitions = {};
+    doc.selectedGroupForWheel = 99;
+    assert.doesNotThrow(() => engine.engineScene(doc));
+});
+
+test('group to wheel: the camera moves from the stack view to the wheel view', () => {
+    const scene = wheelScene(2);
+    const { camera: from } = engine.engineTransition(scene, 1, 2, 0);
+    const { camera: to } = engine.engineTransition(scene, 1, 2, 1000);
+    assert.deepEqual(from, engine.engineKeyframe(scene, 1).camera);
+    ['zoom', 'rotX', 'rotY', 'rotZ'].forEach(f => assert.ok(near(to[f], scene.keyframes[2].camera[f]), f));
+});
+
+// -----------------------------------------------------------------------------
+// cross-fade and timeline
+// -----------------------------------------------------------------------------
+
+test('cross-fade: old cards fade out in place, the camera cuts, new cards fade in', () => {
+    const scene = wheelScene(2);
+    const stacked = engine.engineKeyframe(scene, 1);
+    const wheel = engine.engineKeyframe(scene, 2);
+    const at = (ms) => engine.engineTransition(scene, 1, 2, ms, { crossfade: true });
+
+    const early = at(250);
+    assert.equal(early.cards.length, stacked.cards.length);
+    early.cards.forEach((c, i) => assert.ok(near(c.z, stacked.cards[i].z) && near(c.alive, 0.5)));
+    assert.deepEqual(early.camera, stacked.camera);
+
+    const late = at(750);
+    assert.equal(late.cards.length, wheel.cards.length);
+    late.cards.forEach((c, i) => assert.ok(near(c.x, wheel.cards[i].x) && near(c.alive, 0.5)));
+    assert.equal(late.camera.zoom, wheel.camera.zoom);
+});
+
+test('timeline: plays the keyframes in order and holds the last one', () => {
+    const scene = engine.engineScene(engine.defaultScene()); // three 1000 ms transitions
+    const at = (ms) => engine.engineTimeline(scene, ms);
+    assert.deepEqual([at(0).from, at(0).to], [0, 1]);
+    assert.deepEqual([at(999).from, at(999).to], [0, 1]);
+    assert.deepEqual([at(1000).from, at(1000).to, at(1000).t], [1, 2, 0]);
+    assert.equal(at(1500).done, false);
+    const end = at(5000);
+    assert.deepEqual([end.from, end.to, end.t, end.done], [1, 2, 1, true]);
+    const custom = engine.engineTimeline(scene, 500, [2, 0]);
+    assert.deepEqual([custom.from, custom.to], [2, 0]);
+});
+
+test('timeline: a scrub to the end can be dragged back into the same transition', () => {
+    const { ac, context } = createInstance(); // the timeline bar's scrubber and frame steps (timeline.js)
+    const ends = [];
+    ac.on('transitionend', ({ from, to }) => ends.push([from, to]));
+    const scrubTo = (f) => { context.armTransition(ac); context.seekClock(ac, f * ac.animDuration); };
+    const leg = () => [ac.animating, ac.currentKF, ac.targetKF];
+
+    scrubTo(0.5); scrubTo(1); scrubTo(0.9);
+    assert.deepEqual(leg(), [true, 0, 1], 'back into KF1 -> KF2');
+    assert.ok(near(ac.clock.time, 0.9 * ac.animDuration));
+    // a frame step back from the last frame
+    scrubTo(1);
+    context.armTransition(ac);
+    context.seekClock(ac, ac.clock.time - 1000 / 60);
+    assert.deepEqual(leg(), [true, 0, 1]);
+    assert.ok(near(ac.clock.time, ac.animDuration - 1000 / 60));
+    assert.deepEqual(ends, []);
+
+    // letting go of the scrubber on the last frame finishes the transition
+    scrubTo(1);
+    context.releaseScrub(ac);
+    assert.deepEqual(leg(), [false, 1, 1]);
+    assert.deepEqual(ends, [[0, 1]]);
+
+    // so does playing on from it
+    scrubTo(1);
+    assert.deepEqual(leg(), [true, 1, 2]);
+    context.playClock(ac);
+    assert.equal(context.tickClock(ac, 0), 'end');
+});
+
+test('engine functions reject keyframes that do not exist', () => {
+    const scene = engine.engineScene(engine.defaultScene());
+    assert.throws(() => engine.engineKeyframe(scene, 3), /out of range/);
+    assert.throws(() => engine.engineTransition(scene, 0, 5, 0), /out of range/);
+    assert.throws(() => engine.engineScene({ keyframes: [] }));
+});
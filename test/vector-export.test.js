@@ -0,0 +1,107 @@
+// Animation Cards – Vector export tests
+// vectorFrame() (vector-export.js) on hand-made cards: the projection agrees
+// with the on-screen camera, only visible edges are kept, cards are depth-sorted, and the SVG /
+// PDF writers produce well-formed files.
+//
+//     npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngine } = require('./helpers/load-engine');
+
+const engine = loadEngine();
+
+const VIEW = { width: 800, height: 600 };
+const CAMERA = { zoom: 1, rotX: 0, rotY: 0, rotZ: 0, targetX: 0, targetY: 0, targetZ: 0 };
+
+function card(fields = {}) {
+    return { x: 0, y: 0, z: 0, rotX: 0, rotY: 0, rotZ: 0, w: 10, h: 20, d: 2, stroke: '#ff8000', alive: 1, ...fields };
+}
+
+test('vector export: a card seen face-on shows its front side at the on-screen scale', () => {
+    const frame = engine.vectorFrame([card()], CAMERA, VIEW, { projection: 'orthographic' });
+    assert.equal(frame.items.length, 1);
+    const [item] = frame.items;
+    assert.equal(item.faces.length, 1, 'only the side facing the viewer');
+    assert.equal(item.edges.length, 4);
+    const xs = item.faces[0].map(p => p[0]), ys = item.faces[0].map(p => p[1]);
+    assert.deepEqual([Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)], [395, 405, 290, 310]);
+    assert.deepEqual(item.stroke, [255, 128, 0]);
+
+    // a larger output scales the view to its height and centres it
+    const big = engine.vectorFrame([card()], CAMERA, VIEW, { projection: 'orthographic', width: 1920, height: 1200 });
+    const bx = big.items[0].faces[0].map(p => p[0]);
+    assert.deepEqual([Math.min(...bx), Math.max(...bx)], [950, 970]);
+    assert.equal(big.lineWidth, 2);
+});
+
+test('vector export: perspective corners lie on the pointer rays of their pixels', () => {
+    // the rays picking casts through the canvas (picking.js), so the export frames like the screen
+    const camera = { ...CAMERA, zoom: 1.5, rotX: -25, rotY: 40, targetX: 10, targetY: -5 };
+    const angle = 0.6, cos = Math.cos(angle), sin = Math.sin(angle);
+    const corners = [-1, 1].flatMap(sx => [-1, 1].flatMap(sy => [-1, 1].map(sz => ({
+        x: 30 + sx * 5 * cos + sz * sin, y: -20 + sy * 10, z: 15 - sx * 5 * sin + sz * cos
+    }))));
+    const [item] = engine.vectorFrame([card({ x: 30, y: -20, z: 15, rotY: angle })], camera, VIEW).items;
+    item.faces.flat().forEach(([px, py]) => {
+        const { origin, dir } = engine.pointerRay(px, py, VIEW.width, VIEW.height, camera);
+        const offRay = corners.map(p => {
+            const r = { x: p.x - origin.x, y: p.y - origin.y, z: p.z - origin.z };
+            const cross = [r.y * dir.z - r.z * dir.y, r.z * dir.x - r.x * dir.z, r.x * dir.y - r.y * dir.x];
+            return Math.hypot(...cross) / Math.hypot(dir.x, dir.y, dir.z);
+        });
+        assert.ok(Math.min(...offRay) < 0.01, `pixel ${px}, ${py}: ${Math.min(...offRay)} off`);
+    });
+});
+
+test('vector export: a turned card shows three sides and nine edges, each once', () => {
+    const frame = engine.vectorFrame([card({ rotX: 0.4, rotY: 0.7 })], CAMERA, VIEW, { projection: 'orthographic' });
+    assert.equal(frame.items[0].faces.length, 3);
+    assert.equal(frame.items[0].edges.length, 9);
+});
+
+test('vector export: cards are sorted back to front and fade with their stroke alpha', () => {
+    const cards = [
+        card({ z: 40, stroke: '#00ff00' }),
+        card({ z: -40, stroke: '#ff000080', alive: 0.5 }),
+        card({ z: 0, alive: 0 }) // faded out: not drawn
+    ];
+    for (const projection of ['perspective', 'orthographic']) {
+        const { items } = engine.vectorFrame(cards, CAMERA, VIEW, { projection });
+        assert.deepEqual(items.map(it => it.stroke), [[255, 0, 0], [0, 255, 0]], projection);
+        assert.ok(Math.abs(items[0].alpha - 0.25) < 0.01);
+    }
+    // nearer cards look bigger only in perspective
+    const width = (projection) => {
+        const [far, near] = engine.vectorFrame(cards, CAMERA, VIEW, { projection }).items;
+        const span = (it) => Math.max(...it.faces[0].map(p => p[0])) - Math.min(...it.faces[0].map(p => p[0]));
+        return span(near) - span(far);
+    };
+    assert.ok(width('perspective') > 0.5);
+    assert.ok(Math.abs(width('orthographic')) < 1e-9);
+});
+
+test('vector export: SVG and PDF output', () => {
+    const frame = engine.vectorFrame([card(), card({ x: 20, stroke: '#3498db80' })], CAMERA, VIEW);
+    const svg = engine.frameToSVG(frame);
+    assert.match(svg, /^<\?xml[^>]*\?>\n<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="800" height="600"/);
+    assert.match(svg, /<rect width="800" height="600" fill="#000"\/>/);
+    assert.match(svg, /stroke="#3498db" stroke-opacity="0.5"/);
+    assert.match(svg, /stroke="#ff8000"\/>/);
+    assert.equal((svg.match(/<g>/g) || []).length, 2);
+    assert.doesNotMatch(engine.frameToSVG({ ...frame, background: false }), /<rect/);
+
+    const pdf = engine.frameToPDF(frame);
+    assert.match(pdf, /^%PDF-1\.4\n/);
+    assert.match(pdf, /\/MediaBox \[0 0 800 600\]/);
+    assert.match(pdf, /\/GS\d << \/Type \/ExtGState \/CA 0\.5 >>/);
+    // the cross-reference table points at each object, and startxref at the table
+    const xref = +pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1];
+    assert.ok(pdf.startsWith('xref\n0 5\n', xref));
+    const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => +m[1]);
+    assert.equal(offsets.length, 4);
+    offsets.forEach((at, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, at), `object ${i + 1}`));
+    const length = +pdf.match(/\/Length (\d+) >>\nstream\n/)[1];
+    const start = pdf.indexOf('stream\n') + 'stream\n'.length;
+    assert.equal(pdf.slice(start + length), '\nendstream\nendobj\n' + pdf.slice(pdf.indexOf('xref\n0 5')));
+});
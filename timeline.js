@@ -0,0 +1,185 @@
+// Animation Cards – Timeline transport
+// A controllable clock for the active transition (play / pause, scrub, frame step, speed,
+// loop and ping-pong) and the timeline bar through which the editor drives it.
+
+const FRAME_MS = 1000 / 60; // one frame step at 60 fps
+
+// Each AnimationCards instance has its own clock; all transition timing reads clock.time and
+// only tickClock() looks at real time
+function createClock() {
+    return {
+        time: 0,        // ms into the active transition
+        playing: false,
+        speed: 1,       // playback rate multiplier
+        loop: false,    // restart (or keep bouncing) when an end is reached
+        pingPong: false,// reverse direction at the end instead of finishing
+        direction: 1,   // -1 while a ping-pong pass runs backwards
+        lastTick: null  // real ms of the previous tick, null right after a (re)start or pause
+    };
+}
+
+function restartClock(clock) {
+    clock.time = 0;
+    clock.direction = 1;
+    clock.playing = true;
+    clock.lastTick = null;
+}
+
+function pauseClock(clock) {
+    clock.playing = false;
+    clock.lastTick = null;
+}
+
+// Resume from where the clock stands (a ping-pong pass paused at the origin heads forward again)
+function playClock(ac) {
+    const clock = ac.clock;
+    if (clock.direction < 0 && clock.time <= 0) clock.direction = 1;
+    clock.playing = true;
+    clock.lastTick = null;
+}
+
+// Pause at `ms`. On the last frame the transition stays armed, so it can be scrubbed back into;
+// playing on or releaseScrub() finishes it.
+function seekClock(ac, ms) {
+    ac.clock.time = clamp(ms, 0, ac.animDuration);
+    pauseClock(ac.clock);
+}
+
+// The scrubber was let go: left on the last frame, the transition ends there as playing through
+// it does (sketch.js)
+function releaseScrub(ac) {
+    if (!ac.animating || ac.clock.playing || ac.clock.time < ac.animDuration) return;
+    evaluateTransitionAt(ac, ac.clock.time);
+    finishTransition(ac);
+}
+
+// Advance ac's clock to real time `now`. Returns "end" when the transition reached the target
+// keyframe, "start" when a ping-pong pass came back to the origin, otherwise null.
+function tickClock(ac, now) {
+    const clock = ac.clock, animDuration = ac.animDuration;
+    if (!clock.playing) return null;
+    const dt = clock.lastTick == null ? 0 : (now - clock.lastTick) * clock.speed;
+    clock.lastTick = now;
+    clock.time += dt * clock.direction;
+
+    if (clock.direction > 0 && clock.time >= animDuration) {
+        if (clock.pingPong) {
+            clock.time = Math.max(0, 2 * animDuration - clock.time);
+            clock.direction = -1;
+        } else if (clock.loop) {
+            clock.time = animDuration > 0 ? clock.time % animDuration : 0;
+        } else {
+            clock.time = animDuration;
+            clock.playing = false;
+            return 'end';
+        }
+    } else if (clock.direction < 0 && clock.time <= 0) {
+        if (clock.loop) {
+            clock.time = Math.min(animDuration, -clock.time);
+            clock.direction = 1;
+        } else {
+            clock.time = 0;
+            clock.playing = false;
+            return 'start';
+        }
+    }
+    return null;
+}
+
+// Eased time of transition tr `ms` into it (the 0 … 1 progress run through its easing)
+function transitionProgress(tr, ms) {
+    const t = tr.duration > 0 ? clamp(ms / tr.duration, 0, 1) : 1;
+    return makeEasing(tr)(t);
+}
+
+// Evaluate ac's active transition at the clock position
+function evaluateTransitionAt(ac, ms) {
+    const frame = transitionFrameAt(ac, ac.animFrom || ac.keyframes[ac.currentKF], ac.keyframes[ac.targetKF], ms, ac.animTransition);
+    Object.assign(ac.renderCamera, frame.camera);
+    ac.renderState = frame.cards;
+}
+
+// Make sure there is a transition to scrub: the active one, or currentKF -> next (paused)
+function armTransition(ac) {
+    if (ac.animating || ac.keyframes.length < 2) return ac.animating;
+    startAnimationTo(ac, (ac.currentKF + 1) % ac.keyframes.length);
+    pauseClock(ac.clock);
+    return true;
+}
+
+// -----------------------------------------------------------------------------
+// Timeline bar
+// -----------------------------------------------------------------------------
+
+function setupTimeline(ed) {
+    const { ac, signal } = ed;
+    const clock = ac.clock;
+    const playBtn = ed.$('tlPlayBtn');
+    const scrub = ed.$('tlScrub');
+
+    playBtn.addEventListener('click', () => {
+        if (!ac.animating) {
+            if (ac.keyframes.length > 1) ac.next();
+        } else if (clock.playing) {
+            pauseClock(clock);
+        } else {
+            playClock(ac);
+        }
+    }, { signal });
+
+    const step = (frames) => {
+        if (!armTransition(ac)) return;
+        seekClock(ac, clock.time + frames * FRAME_MS);
+    };
+    ed.$('tlStepBackBtn').addEventListener('click', () => step(-1), { signal });
+    ed.$('tlStepFwdBtn').addEventListener('click', () => step(1), { signal });
+
+    // ed.scrubbing: the user is dragging the scrubber, so updateTimelineUI leaves it alone
+    scrub.addEventListener('pointerdown', () => { ed.scrubbing = true; }, { signal });
+    scrub.addEventListener('input', () => {
+        if (!armTransition(ac)) return;
+        seekClock(ac, (scrub.value / scrub.max) * ac.animDuration);
+    }, { signal });
+    const release = () => {
+        ed.scrubbing = false;
+        releaseScrub(ac);
+    };
+    scrub.addEventListener('pointerup', release, { signal });
+    scrub.addEventListener('change', release, { signal });
+
+    const speedSel = ed.$('tlSpeed');
+    speedSel.value = String(clock.speed);
+    speedSel.addEventListener('change', () => { clock.speed = parseFloat(speedSel.value) || 1; }, { signal });
+
+    const loopChk = ed.$('tlLoop');
+    loopChk.checked = clock.loop;
+    loopChk.addEventListener('change', () => { clock.loop = loopChk.checked; }, { signal });
+    const pingChk = ed.$('tlPingPong');
+    pingChk.checked = clock.pingPong;
+    pingChk.addEventListener('change', () => { clock.pingPong = pingChk.checked; }, { signal });
+}
+
+// Reflect the clock in the timeline bar (after every frame)
+function updateTimelineUI(ed) {
+    const scrub = ed.$('tlScrub');
+    if (!scrub) return;
+    const { ac } = ed;
+    const playBtn = ed.$('tlPlayBtn');
+    const state = (ac.animating && ac.clock.playing) ? 'pause' : 'play';
+    if (playBtn.dataset.state !== state) { // only touch the icon when it changes
+        playBtn.dataset.state = state;
+        playBtn.innerHTML = `<i class="fas fa-${state}"></i>`;
+    }
+
+    const label = ed.$('tlLabel');
+    const time = ed.$('tlTime');
+    if (ac.animating) {
+        label.textContent = `KF${ac.currentKF + 1}→${ac.targetKF + 1}`;
+        time.textContent = `${Math.round(ac.clock.time)} / ${Math.round(ac.animDuration)} ms`;
+        if (!ed.scrubbing) scrub.value = ac.animDuration > 0 ? (ac.clock.time / ac.animDuration) * scrub.max : scrub.max;
+    } else {
+        label.textContent = `KF${ac.currentKF + 1}`;
+        time.textContent = '—';
+        if (!ed.scrubbing) scrub.value = 0;
+    }
+}
@@ -0,0 +1,192 @@
+// Animation Cards – Vector export
+// The frame on screen as editable vectors for slides and print. Every card box of renderState
+// is projected through the camera the canvas shows it with and drawn as its black front faces
+// under its visible edges, in the card's stroke colour and alpha. Cards are sorted back to
+// front, so nearer ones cover farther ones as the depth test does on screen. The result is
+// written as SVG or as a one-page PDF. Options:
+//
+//     projection : 'perspective' (p5's default camera, as on screen) | 'orthographic' (no
+//                  foreshortening; 1 unit = 1 px at the camera target, the on-screen scale)
+//     width, height : output size (default: the canvas); the view is scaled to the height
+//                  and centred, like export.js does
+//     background : paint the page black like the canvas (false: transparent, or paper in PDF)
+//     lineWidth  : edge width in on-screen pixels
+//
+// Card faces (faces.js) are raster textures and are left out, as is the hover lift.
+
+const VECTOR_NEAR = 80; // p5's default near plane (a tenth of the eye distance): closer cards are dropped
+
+// corners of each box side, in order around it (corner k: bit 0 = x, bit 1 = y, bit 2 = z, see render-batch.js)
+const BOX_QUADS = [[0, 2, 6, 4], [1, 5, 7, 3], [0, 4, 5, 1], [2, 3, 7, 6], [0, 1, 3, 2], [4, 6, 7, 5]];
+
+// World positions of the eight corners of card c, with the geometry renderScene() draws
+function cardCorners(c) {
+    const hx = Math.max(c.w, 0.1) / 2, hy = Math.max(c.h, 0.1) / 2, hz = Math.max(c.d || 0.5, 0.1) / 2;
+    const corners = [];
+    for (let k = 0; k < 8; k++) {
+        const local = { x: k & 1 ? hx : -hx, y: k & 2 ? hy : -hy, z: k & 4 ? hz : -hz };
+        const p = rotateVecX(rotateVecY(rotateVecZ(local, c.rotZ), c.rotY), c.rotX);
+        corners.push({ x: c.x + p.x, y: c.y + p.y, z: c.z + p.z });
+    }
+    return corners;
+}
+
+const averagePoint = (pts) => ({
+    x: pts.reduce((s, p) => s + p.x, 0) / pts.length,
+    y: pts.reduce((s, p) => s + p.y, 0) / pts.length,
+    z: pts.reduce((s, p) => s + p.z, 0) / pts.length
+});
+
+// The drawing of `cards` seen through `camera` in a view of view.width × view.height pixels:
+// { width, height, background, lineWidth, items: [{ faces, edges, stroke: [r, g, b], alpha }] },
+// items back to front, points in output pixels (y down)
+function vectorFrame(cards, camera, view, {
+    projection = 'perspective', width = view.width, height = view.height, background = true, lineWidth = 1
+} = {}) {
+    const perspective = projection === 'perspective';
+    const ax = toRadians(camera.rotX), ay = toRadians(camera.rotY), az = toRadians(camera.rotZ);
+    // view space as renderScene() sets it up: scale · rotateX · rotateY · rotateZ · translate(-target)
+    const toView = (p) => {
+        const v = rotateVecX(rotateVecY(rotateVecZ({
+            x: p.x - camera.targetX, y: p.y - camera.targetY, z: p.z - camera.targetZ
+        }, az), ay), ax);
+        return { x: v.x * camera.zoom, y: v.y * camera.zoom, z: v.z * camera.zoom };
+    };
+    const scale = height / view.height;
+    const toPage = (v) => {
+        const f = perspective ? P5_DEFAULT_EYE_Z / (P5_DEFAULT_EYE_Z - v.z) : 1;
+        return [width / 2 + v.x * f * scale, height / 2 + v.y * f * scale];
+    };
+    // a side faces the viewer when its outward normal points towards the eye
+    const eye = { x: 0, y: 0, z: P5_DEFAULT_EYE_Z };
+    const facesViewer = (side, centre) => {
+        const mid = averagePoint(side);
+        const n = { x: mid.x - centre.x, y: mid.y - centre.y, z: mid.z - centre.z };
+        if (!perspective) return n.z > 1e-9;
+        return n.x * (eye.x - mid.x) + n.y * (eye.y - mid.y) + n.z * (eye.z - mid.z) > 1e-9;
+    };
+
+    const items = [];
+    for (const c of cards) {
+        if (c.alive < 0.01) continue;
+        if (c.w < 0.05 && c.h < 0.05 && c.d < 0.05) continue;
+        const corners = cardCorners(c).map(toView);
+        if (perspective && corners.some(v => P5_DEFAULT_EYE_Z - v.z < VECTOR_NEAR)) continue;
+        const centre = averagePoint(corners);
+        const quads = BOX_QUADS.filter(q => facesViewer(q.map(i => corners[i]), centre));
+        if (!quads.length) continue; // seen exactly edge-on
+
+        // the edges of the visible sides, each once (a shared edge drawn twice looks more opaque)
+        const edges = new Map();
+        quads.forEach(q => q.forEach((a, n) => {
+            const b = q[(n + 1) % q.length];
+            edges.set(Math.min(a, b) * 8 + Math.max(a, b), [a, b]);
+        }));
+        const page = corners.map(toPage);
+        const [r, g, b, a] = parseColor(c.stroke);
+        items.push({
+            depth: perspective ? Math.hypot(centre.x, centre.y, centre.z - P5_DEFAULT_EYE_Z) : -centre.z,
+            faces: quads.map(q => q.map(i => page[i])),
+            edges: [...edges.values()].map(([i, j]) => [page[i], page[j]]),
+            stroke: [r, g, b],
+            alpha: (a / 255) * clamp(c.alive, 0, 1)
+        });
+    }
+    items.sort((p, q) => q.depth - p.depth);
+    return { width, height, background, lineWidth: lineWidth * scale, items };
+}
+
+// -----------------------------------------------------------------------------
+// Writers
+// -----------------------------------------------------------------------------
+
+const vectorNum = (v) => String(+v.toFixed(2)); // no exponents, no "-0"
+const hexColor = (rgb) => '#' + rgb.map(v => v.toString(16).padStart(2, '0')).join('');
+
+function frameToSVG(frame) {
+    const { width, height } = frame;
+    const pt = (p) => `${vectorNum(p[0])} ${vectorNum(p[1])}`;
+    const out = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    ];
+    if (frame.background) out.push(`<rect width="${width}" height="${height}" fill="#000"/>`);
+    out.push(`<g stroke-width="${vectorNum(frame.lineWidth)}" stroke-linecap="round" stroke-linejoin="round">`);
+    frame.items.forEach(it => {
+        const faces = it.faces.map(f => `M${f.map(pt).join('L')}Z`).join('');
+        const edges = it.edges.map(([a, b]) => `M${pt(a)}L${pt(b)}`).join('');
+        const opacity = it.alpha < 1 ? ` stroke-opacity="${vectorNum(it.alpha)}"` : '';
+        out.push(`<g><path d="${faces}" fill="#000"/><path d="${edges}" fill="none" stroke="${hexColor(it.stroke)}"${opacity}/></g>`);
+    });
+    out.push('</g>', '</svg>', '');
+    return out.join('\n');
+}
+
+// A one-page PDF 1.4 with the same drawing; PDF points = output pixels. Stroke alphas go
+// through one ExtGState per distinct value.
+function frameToPDF(frame) {
+    const { width, height } = frame;
+    const pt = (p) => `${vectorNum(p[0])} ${vectorNum(height - p[1])}`; // PDF's y points up
+    const alphas = [...new Set(frame.items.map(it => vectorNum(it.alpha)))];
+
+    const ops = [];
+    if (frame.background) ops.push(`0 g 0 0 ${width} ${height} re f`);
+    ops.push(`${vectorNum(frame.lineWidth)} w 1 J 1 j 0 g`);
+    frame.items.forEach(it => {
+        if (it.faces.length) ops.push(it.faces.map(f => `${f.map((p, n) => `${pt(p)} ${n ? 'l' : 'm'}`).join(' ')} h`).join(' ') + ' f');
+        const rgb = it.stroke.map(v => vectorNum(v / 255)).join(' ');
+        ops.push(`/GS${alphas.indexOf(vectorNum(it.alpha))} gs ${rgb} RG ${it.edges.map(([a, b]) => `${pt(a)} m ${pt(b)} l`).join(' ')} S`);
+    });
+    const content = ops.join('\n');
+
+    const states = alphas.map((a, i) => `/GS${i} << /Type /ExtGState /CA ${a} >>`).join(' ');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /ExtGState << ${states} >> >> /Contents 4 0 R >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ];
+    // everything is ASCII, so string offsets are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const at = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return at;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
+
+// The frame on ac's canvas as 'svg' or 'pdf' text
+function vectorExport(ac, format, options = {}) {
+    const frame = vectorFrame(ac.renderState, ac.renderCamera, { width: ac.p5.width, height: ac.p5.height }, options);
+    return format === 'pdf' ? frameToPDF(frame) : frameToSVG(frame);
+}
+
+// -----------------------------------------------------------------------------
+// Export panel
+// -----------------------------------------------------------------------------
+
+function setupVectorExportPanel(ed) {
+    const { ac, signal } = ed;
+    const status = ed.$('vectorStatus');
+    const save = (format, type) => {
+        try {
+            const text = vectorExport(ac, format, {
+                projection: ed.$('vectorProjection').value,
+                width: parseInt(ed.$('vectorWidth').value) || ac.p5.width,
+                height: parseInt(ed.$('vectorHeight').value) || ac.p5.height,
+                background: ed.$('vectorBackground').checked
+            });
+            downloadBlob(new Blob([text], { type }), `frame.${format}`);
+            status.textContent = '';
+        } catch (e) {
+            status.textContent = 'Failed: ' + e.message;
+        }
+    };
+    ed.$('svgExportBtn').addEventListener('click', () => save('svg', 'image/svg+xml'), { signal });
+    ed.$('pdfExportBtn').addEventListener('click', () => save('pdf', 'application/pdf'), { signal });
+}
@@ -0,0 +1,163 @@
+// Animation Cards – Wheel interaction
+// While an instance rests on a wheel keyframe its wheel can turn about the wheel axis:
+//
+//     idle spin : kf.wheelSpin degrees per second (a wheel layout parameter)
+//     drag      : a press on a card turns the wheel under the pointer; let go while moving and
+//                 it keeps turning, slowing down to the idle spin
+//     click     : the clicked card turns to the front (the side facing the viewer) and the
+//                 wheel holds it there until it is dragged again
+//
+// The turn is ac.wheel.angle (degrees). renderState holds the turned cards, so picking and
+// drawing see the same poses, and a transition away starts from them. With reduced motion
+// (accessibility.js) the wheel does not spin by itself or coast, and clicked cards jump.
+
+const WHEEL_FRICTION = 2;      // 1/s: how quickly a flicked wheel settles to its idle spin
+const WHEEL_DRAG_SPEED = 0.4;  // degrees per px while the wheel is seen edge-on
+const WHEEL_SNAP = springConstants({ stiffness: 120, damping: 2 * Math.sqrt(120), mass: 1 }); // critically damped
+
+function createWheelState() {
+    return {
+        angle: 0,        // current turn, degrees
+        velocity: 0,     // degrees per second
+        held: false,     // a snapped card is being held at the front
+        snap: null,      // { target } while turning a clicked card to the front
+        drag: null,      // { x, y, at, time, velocity, dragging } while pressed on a card
+        turned: false,   // renderState holds turned cards
+        lastTick: null
+    };
+}
+
+function resetWheel(ac) {
+    ac.wheel = createWheelState();
+}
+
+// Idle on a wheel keyframe (the only time the wheel turns)
+function onWheelKeyframe(ac) {
+    return !ac.animating && ac.keyframes[ac.currentKF].layout === 'wheel';
+}
+
+const wrapDegrees = (a) => ((a % 360) + 540) % 360 - 180; // -> [-180, 180)
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+// Angle (degrees) of a world point around the axis of wheel keyframe kf
+function wheelAngleOf(kf, p) {
+    const q = tiltPoint(p, -toRadians(layoutParam(kf, 'wheelTilt')));
+    return toDegrees(Math.atan2(q.z, q.x));
+}
+
+// Wheel angle under the pointer (the pointer ray meets the wheel plane), or null when the
+// wheel is seen edge-on
+function wheelPointerAngle(ac, kf) {
+    const p = ac.p5;
+    const ray = pointerRay(p.mouseX, p.mouseY, p.width, p.height, ac.renderCamera);
+    const tilt = toRadians(layoutParam(kf, 'wheelTilt'));
+    const n = tiltPoint({ x: 0, y: 1, z: 0 }, tilt);
+    const centre = tiltPoint({ x: 0, y: -kf.cardHeight / 2, z: 0 }, tilt);
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const along = dot(n, ray.dir);
+    if (Math.abs(along) < 0.15 * Math.hypot(ray.dir.x, ray.dir.y, ray.dir.z)) return null;
+    const t = (dot(n, centre) - dot(n, ray.origin)) / along;
+    return wheelAngleOf(kf, {
+        x: ray.origin.x + ray.dir.x * t, y: ray.origin.y + ray.dir.y * t, z: ray.origin.z + ray.dir.z * t
+    });
+}
+
+// Wheel angle of the side facing the viewer; seen along the axis, the bottom of the screen
+function wheelFrontAngle(ac, kf) {
+    const cam = ac.renderCamera;
+    const toWorld = (v) => unrotateXYZ(v, toRadians(cam.rotX), toRadians(cam.rotY), toRadians(cam.rotZ));
+    const tilt = toRadians(layoutParam(kf, 'wheelTilt'));
+    const toViewer = tiltPoint(toWorld({ x: 0, y: 0, z: 1 }), -tilt);
+    if (Math.hypot(toViewer.x, toViewer.z) > 0.1) return toDegrees(Math.atan2(toViewer.z, toViewer.x));
+    const down = tiltPoint(toWorld({ x: 0, y: 1, z: 0 }), -tilt);
+    return toDegrees(Math.atan2(down.z, down.x));
+}
+
+// -----------------------------------------------------------------------------
+// Pointer
+// -----------------------------------------------------------------------------
+
+// A left press on a card of an idle wheel grabs the wheel (instead of orbiting the camera);
+// true when it did
+function wheelPress(ac, event) {
+    if (!isCanvasEvent(ac, event) || event.button !== 0 || event.shiftKey || !onWheelKeyframe(ac)) return false;
+    const p = ac.p5;
+    if (!pickCard(ac, p.mouseX, p.mouseY)) return false;
+    ac.cameraDrag = null;
+    ac.wheel.drag = {
+        x: p.mouseX, y: p.mouseY, dragging: false,
+        at: wheelPointerAngle(ac, ac.keyframes[ac.currentKF]), time: p.millis(), velocity: 0
+    };
+    return true;
+}
+
+function wheelDragMove(ac) {
+    const drag = ac.wheel.drag, p = ac.p5;
+    if (!drag || !onWheelKeyframe(ac)) return;
+    if (!drag.dragging && Math.hypot(p.mouseX - drag.x, p.mouseY - drag.y) < DRAG_THRESHOLD) return;
+    drag.dragging = true;
+    const at = wheelPointerAngle(ac, ac.keyframes[ac.currentKF]);
+    const delta = at !== null && drag.at !== null ? wrapDegrees(at - drag.at) : (p.mouseX - p.pmouseX) * WHEEL_DRAG_SPEED;
+    const now = p.millis(), dt = Math.max(1, now - drag.time) / 1000;
+    // smoothed, so one jittery move does not decide the throw
+    drag.velocity = lerpNum(drag.velocity, delta / dt, 0.5);
+    drag.at = at;
+    drag.time = now;
+    Object.assign(ac.wheel, { angle: ac.wheel.angle + delta, velocity: 0, snap: null, held: false });
+}
+
+// Ends the press; true when it was a click rather than a drag
+function wheelRelease(ac) {
+    const drag = ac.wheel.drag;
+    ac.wheel.drag = null;
+    if (!drag.dragging) return true;
+    // a wheel let go after the pointer stopped does not coast
+    const moving = ac.p5.millis() - drag.time < 100;
+    ac.wheel.velocity = moving && !reducedMotionActive(ac) ? drag.velocity : 0;
+    return false;
+}
+
+// Turn card `index` of renderState to the front
+function snapWheelTo(ac, index) {
+    const kf = ac.keyframes[ac.currentKF], card = ac.renderState[index];
+    if (!card || !onWheelKeyframe(ac)) return;
+    const target = ac.wheel.angle + wrapDegrees(wheelFrontAngle(ac, kf) - wheelAngleOf(kf, card));
+    if (reducedMotionActive(ac)) {
+        Object.assign(ac.wheel, { angle: target, velocity: 0, snap: null, held: true });
+    } else {
+        Object.assign(ac.wheel, { snap: { target }, held: false });
+    }
+    ac.emit('wheelsnap', { index, wheelIndex: card.wheelIndex ?? null });
+}
+
+// -----------------------------------------------------------------------------
+// Per frame
+// -----------------------------------------------------------------------------
+
+// Advance the turn to time `now` (ms) and put the turned cards into renderState
+function updateWheel(ac, now) {
+    const w = ac.wheel;
+    if (!onWheelKeyframe(ac)) { w.lastTick = null; return; }
+    const dt = w.lastTick === null ? 0 : Math.min(0.1, (now - w.lastTick) / 1000);
+    w.lastTick = now;
+    const kf = ac.keyframes[ac.currentKF];
+
+    if (w.drag) {
+        // the pointer turns the wheel (wheelDragMove)
+    } else if (w.snap) {
+        const [x, v] = springAt(w.angle - w.snap.target, w.velocity, dt, WHEEL_SNAP);
+        w.angle = w.snap.target + x;
+        w.velocity = v;
+        if (Math.abs(x) < 0.01 && Math.abs(v) < 0.1) Object.assign(w, { angle: w.snap.target, velocity: 0, snap: null, held: true });
+    } else if (!w.held) {
+        const spin = reducedMotionActive(ac) ? 0 : layoutParam(kf, 'wheelSpin');
+        w.velocity = spin + (w.velocity - spin) * Math.exp(-WHEEL_FRICTION * dt);
+        w.angle += w.velocity * dt;
+    }
+    if (!w.snap) w.angle = ((w.angle % 360) + 360) % 360;
+
+    if (w.angle !== 0 || w.turned) {
+        ac.renderState = turnWheel(layoutCards(ac, kf), kf, w.angle);
+        w.turned = w.angle !== 0;
+    }
+}